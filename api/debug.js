@@ -4,7 +4,9 @@ module.exports = async function handler(req, res) {
     const envCheck = {
       SUPABASE_URL: process.env.SUPABASE_URL ? 'SET' : 'MISSING',
       SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY ? 'SET' : 'MISSING',
-      MCP_AUTH_TOKEN: process.env.MCP_AUTH_TOKEN ? 'SET' : 'MISSING'
+      MCP_AUTH_TOKEN: process.env.MCP_AUTH_TOKEN ? 'SET' : 'MISSING',
+      MCP_TOKENS: process.env.MCP_TOKENS ? 'SET' : 'MISSING',
+      MCP_SQL_KEY: process.env.MCP_SQL_KEY ? 'SET' : 'MISSING'
     };
 
     // Try to load Supabase
@@ -1,9 +1,11 @@
-module.exports = function handler(req, res) {
+import { SERVER_INFO, LATEST_PROTOCOL_VERSION } from '../src/core/config.js';
+
+export default function handler(req, res) {
   res.status(200).json({
     status: 'healthy',
-    service: 'Supabase Read-Only MCP Server',
-    version: '1.0.0',
+    service: SERVER_INFO.name,
+    version: SERVER_INFO.version,
     timestamp: new Date().toISOString(),
-    mcp_protocol: '2024-11-05'
+    mcp_protocol: LATEST_PROTOCOL_VERSION
   });
 } 
\ No newline at end of file
@@ -1,4 +1,9 @@
-module.exports = async function handler(req, res) {
+import { getSharedCore } from '../src/core/mcp-core.js';
+import { authenticateRequest, sendUnauthorized, toolAllowed } from '../src/core/auth.js';
+import { parseErrorResponse } from '../src/core/jsonrpc.js';
+import { readJSONBody } from '../src/core/http.js';
+
+export default async function handler(req, res) {
   // Basic CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -9,86 +14,40 @@ module.exports = async function handler(req, res) {
     return;
   }
 
-  // Simple auth check
-  const authHeader = req.headers.authorization;
-  const token = req.query.token;
-  const expectedToken = '1589';
-  
-  let isAuthed = false;
-  if (authHeader?.startsWith('Bearer ')) {
-    isAuthed = authHeader.substring(7) === expectedToken;
-  } else if (token) {
-    isAuthed = token === expectedToken;
-  }
+  try {
+    // Simple auth check
+    const context = await authenticateRequest(req);
+    if (!context) {
+      sendUnauthorized(req, res);
+      return;
+    }
 
-  if (!isAuthed) {
-    res.status(401).json({ error: 'Unauthorized' });
-    return;
-  }
+    const core = getSharedCore();
 
-  try {
     if (req.method === 'GET') {
       // For SSE - return tools immediately
+      await core.discoverTables();
       res.setHeader('Content-Type', 'text/event-stream');
       res.setHeader('Cache-Control', 'no-cache');
-      
-      const tools = [
-        {
-          name: 'test_tool',
-          description: 'A simple test tool',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              message: {
-                type: 'string',
-                description: 'Test message'
-              }
-            },
-            required: ['message']
-          }
-        }
-      ];
 
-      // Send tools in different formats to see what works
-      res.write(`data: ${JSON.stringify({ tools })}\n\n`);
+      res.write(`data: ${JSON.stringify({ tools: core.getTools().filter(tool => toolAllowed(context, tool.name)) })}\n\n`);
       res.end();
       
     } else if (req.method === 'POST') {
       // Handle JSON-RPC
-      const { method, id } = req.body || {};
-      
-      if (method === 'tools/list') {
-        res.json({
-          jsonrpc: '2.0',
-          id,
-          result: {
-            tools: [
-              {
-                name: 'test_tool',
-                description: 'A simple test tool',
-                inputSchema: {
-                  type: 'object',
-                  properties: {
-                    message: {
-                      type: 'string',
-                      description: 'Test message'
-                    }
-                  },
-                  required: ['message']
-                }
-              }
-            ]
-          }
-        });
+      let payload;
+      try {
+        payload = await readJSONBody(req);
+      } catch (error) {
+        res.status(400).json(parseErrorResponse(error));
+        return;
+      }
+
+      const response = await core.handleMCPPayload(payload, undefined, context);
+      if (response) {
+        res.json(response);
       } else {
-        res.json({
-          jsonrpc: '2.0',
-          id,
-          error: {
-            code: -32601,
-            message: `Method not found: ${method}`
-          }
-        });
+        res.status(202).end();
       }
     } else {
       res.status(405).json({ error: 'Method not allowed' });
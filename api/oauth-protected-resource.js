@@ -0,0 +1,8 @@
+import { sendProtectedResourceMetadata } from '../src/core/oauth.js';
+
+// Protected resource metadata for OAuth clients, served at
+// /.well-known/oauth-protected-resource through the rewrite in vercel.json
+export default function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  sendProtectedResourceMetadata(req, res);
+}
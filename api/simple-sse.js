@@ -1,4 +1,7 @@
-module.exports = function handler(req, res) {
+import { getSharedCore } from '../src/core/mcp-core.js';
+import { authenticateRequest, sendUnauthorized, toolAllowed } from '../src/core/auth.js';
+
+export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -9,28 +12,22 @@ module.exports = function handler(req, res) {
     return;
   }
 
-  // Check authentication
-  const authHeader = req.headers.authorization;
-  const tokenFromQuery = req.query.token;
-  const authToken = process.env.MCP_AUTH_TOKEN || '1589';
-  
-  let isAuthorized = false;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    const token = authHeader.substring(7);
-    isAuthorized = token === authToken;
-  } else if (tokenFromQuery) {
-    isAuthorized = tokenFromQuery === authToken;
-  }
+  try {
+    // Check authentication
+    const context = await authenticateRequest(req);
+    if (!context) {
+      sendUnauthorized(req, res);
+      return;
+    }
 
-  if (!isAuthorized) {
-    res.status(401).json({ 
-      error: 'Unauthorized', 
-      message: 'Valid token required' 
-    });
-    return;
-  }
+    if (req.method !== 'GET') {
+      res.status(405).json({ error: 'Method not allowed' });
+      return;
+    }
+
+    const core = getSharedCore();
+    await core.discoverTables();
 
-  if (req.method === 'GET') {
     // Simple SSE implementation
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
@@ -40,35 +37,11 @@ module.exports = function handler(req, res) {
     });
 
     // Send tools immediately
-    const tools = [
-      {
-        name: 'query_table',
-        description: 'Query a specific database table',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            table: {
-              type: 'string',
-              description: 'Name of the table to query',
-              enum: ['articles', 'groups', 'projects', 'profiles']
-            }
-          },
-          required: ['table']
-        }
-      },
-      {
-        name: 'list_tables',
-        description: 'List all available tables',
-        inputSchema: {
-          type: 'object',
-          properties: {}
-        }
-      }
-    ];
+    const tools = core.getTools().filter(tool => toolAllowed(context, tool.name));
 
     res.write(`data: ${JSON.stringify({ tools })}\n\n`);
     res.end();
-  } else {
-    res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 } 
\ No newline at end of file
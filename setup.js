@@ -2,6 +2,7 @@
 
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { createInterface } from 'readline';
+import { TokenStore } from './src/core/token-store.js';
 
 const rl = createInterface({
   input: process.stdin,
@@ -14,10 +15,6 @@ function question(prompt) {
   });
 }
 
-function generateToken() {
-  return 'mcp_' + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-}
-
 async function setup() {
   console.log('🚀 Setting up Supabase Read-Only MCP Server\n');
 
@@ -43,16 +40,9 @@ async function setup() {
     serviceRoleKey = await question('Supabase Service Role Key: ');
   }
 
-  // Security token
+  // Security token, kept as a salted hash in the token file
   console.log('\n🔐 Security Configuration:');
-  const useCustomToken = await question('Do you want to set a custom auth token? (y/N): ');
-  let authToken = '';
-  if (useCustomToken.toLowerCase() === 'y') {
-    authToken = await question('Enter your custom token: ');
-  } else {
-    authToken = generateToken();
-    console.log(`Generated auth token: ${authToken}`);
-  }
+  const tokenName = await question('Label for the agent\'s token (default: agent): ') || 'agent';
 
   // Server configuration
   const serverName = await question('Server name (default: supabase-readonly-mcp-server): ') || 'supabase-readonly-mcp-server';
@@ -68,7 +58,8 @@ SUPABASE_ANON_KEY=${supabaseAnonKey}
 ${serviceRoleKey ? `SUPABASE_SERVICE_ROLE_KEY=${serviceRoleKey}` : '# SUPABASE_SERVICE_ROLE_KEY=your_service_role_key_here'}
 
 # Security Configuration
-MCP_AUTH_TOKEN=${authToken}
+# Tokens are kept as salted hashes in .mcp-tokens.json; manage them with
+# npm run token (create, list, revoke, rotate)
 
 # Server Configuration
 MCP_SERVER_NAME=${serverName}
@@ -80,6 +71,20 @@ NODE_ENV=${environment}
   writeFileSync('.env', envContent);
   console.log('\n✅ .env file created successfully!');
 
+  const store = new TokenStore();
+  let authToken;
+  try {
+    authToken = store.create({
+      name: tokenName,
+      scopes: ['tools:query', 'tools:schema'],
+      tables: null,
+      rows: null,
+      expiresAt: null
+    });
+  } catch (error) {
+    console.log(`\n⚠️  ${error.message} (npm run token rotate ${tokenName})`);
+  }
+
   // Show next steps
   console.log('\n📋 Next steps:');
   console.log('1. Run: npm install');
@@ -92,8 +97,11 @@ NODE_ENV=${environment}
   console.log('│ Description: Read-only database access                 │');
   console.log('│ Server type: SSE                                        │');
   console.log(`│ Server URL: http://localhost:${port}/mcp-sse              │`);
-  console.log(`│ Secret Token: ${authToken}                              │`);
+  console.log(`│ Secret Token: ${authToken || `(existing token '${tokenName}')`}                              │`);
   console.log('└─────────────────────────────────────────────────────────┘');
+  if (authToken) {
+    console.log(`The token is shown only once; ${store.path} keeps just its hash.`);
+  }
 
   console.log('\n🌐 For production deployment:');
   console.log('1. Push this to GitHub');
@@ -0,0 +1,120 @@
+-- Read-only SQL endpoint for the MCP server's query_database tool.
+-- Run once in the Supabase SQL editor (or as a migration).
+--
+-- Queries run as the mcp_readonly role, so what they can see is exactly what
+-- that role is granted (and its Row Level Security policies allow). Running
+-- as a security definer also stops a query from switching roles with
+-- set_config('role', ...). The function:
+--   1. switches the transaction to read-only before touching the query, so
+--      nothing the query does (including extra statements) can write,
+--   2. describes the result columns from a null-extended row, which has
+--      every column even when the query returns no rows,
+--   3. runs the query with a row limit, fetching one extra row to report
+--      truncation.
+-- PostgREST applies the function's statement_timeout to the request.
+--
+-- Only the mcp_server role may call the function, not anon or authenticated:
+-- called directly through /rest/v1/rpc it would skip the server's query
+-- validation, table list, column policy and row scopes. The server calls
+-- it with MCP_SQL_KEY, a JWT for mcp_server signed with the project's JWT
+-- secret (`npm run token sql-key` prints one). Keep that key on the server,
+-- like the service role key.
+
+do $$
+begin
+  if not exists (select 1 from pg_roles where rolname = 'mcp_readonly') then
+    create role mcp_readonly nologin;
+  end if;
+  if not exists (select 1 from pg_roles where rolname = 'mcp_server') then
+    create role mcp_server nologin;
+  end if;
+end;
+$$;
+
+-- Narrow this to the tables agents may query
+grant usage on schema public to mcp_readonly;
+grant select on all tables in schema public to mcp_readonly;
+
+-- PostgREST switches to mcp_server for requests carrying MCP_SQL_KEY
+grant mcp_server to authenticator;
+grant usage on schema public to mcp_server;
+
+create or replace function public.mcp_readonly_query(query text, row_limit integer default 100)
+returns json
+language plpgsql
+volatile
+security definer
+set statement_timeout = '5s'
+set search_path = public
+as $$
+declare
+  null_extended text;
+  sample json;
+  names text[];
+  types text[] := '{}';
+  rows json;
+  fetched integer;
+begin
+  if row_limit is null or row_limit < 1 or row_limit > 1000 then
+    raise exception 'row_limit must be between 1 and 1000';
+  end if;
+
+  -- Nothing after this point can write
+  perform set_config('transaction_read_only', 'on', true);
+
+  -- End the query with a newline so a trailing -- comment cannot swallow
+  -- the SQL it is wrapped in
+  query := query || E'\n';
+  null_extended := format(
+    '(select q.* from (values (1)) as d left join lateral (%s) as q on true limit 1) as x',
+    query
+  );
+
+  execute format('select to_json(x) from %s', null_extended) into sample;
+  names := array(select json_object_keys(sample));
+
+  if (select count(distinct name) from unnest(names) as name) < cardinality(names) then
+    raise exception 'query must not return duplicate column names';
+  end if;
+
+  if cardinality(names) > 0 then
+    execute format(
+      'select array[%s] from %s',
+      (select string_agg(format('pg_typeof(x.%I)::text', name), ', ') from unnest(names) as name),
+      null_extended
+    ) into types;
+  end if;
+
+  execute format(
+    'select coalesce(json_agg(q), ''[]''::json) from (select * from (%s) as q limit %s) as q',
+    query, row_limit + 1
+  ) into rows;
+
+  fetched := json_array_length(rows);
+  if fetched > row_limit then
+    select json_agg(value order by ordinality)
+      into rows
+      from json_array_elements(rows) with ordinality
+     where ordinality <= row_limit;
+  end if;
+
+  return json_build_object(
+    'columns', (
+      select coalesce(json_agg(json_build_object('name', name, 'type', type) order by position), '[]'::json)
+        from unnest(names, types) with ordinality as c(name, type, position)
+    ),
+    'rows', rows,
+    'truncated', fetched > row_limit
+  );
+end;
+$$;
+
+-- The new owner needs CREATE on the schema only while ownership changes
+grant create on schema public to mcp_readonly;
+alter function public.mcp_readonly_query(text, integer) owner to mcp_readonly;
+revoke create on schema public from mcp_readonly;
+
+-- Supabase grants execute on new functions to anon and authenticated by
+-- name, so revoking from public alone would leave them able to call it
+revoke all on function public.mcp_readonly_query(text, integer) from public, anon, authenticated;
+grant execute on function public.mcp_readonly_query(text, integer) to mcp_server;
@@ -0,0 +1,76 @@
+import { JsonRpcError, INVALID_PARAMS } from './jsonrpc.js';
+import { filtersToSQL, quoteIdentifier, quoteLiteral } from './filters.js';
+
+// Build the SQL for the aggregate tool. The query is generated from
+// validated arguments and then runs through query_database's read-only path.
+//
+//   SELECT <group keys>, <metrics> FROM <table> WHERE <filters>
+//   GROUP BY <group keys> ORDER BY <field> LIMIT <limit + 1>
+
+export const AGGREGATE_FUNCTIONS = ['count', 'count_distinct', 'sum', 'avg', 'min', 'max'];
+export const TIME_BUCKETS = ['day', 'week', 'month'];
+
+// Output name and SQL expression for a group key: a column, or a
+// timestamp column truncated to a bucket
+function groupKey(group) {
+  if (typeof group === 'string') {
+    return { name: group, expression: quoteIdentifier(group) };
+  }
+  return {
+    name: `${group.column}_${group.bucket}`,
+    expression: `date_trunc(${quoteLiteral(group.bucket)}, ${quoteIdentifier(group.column)})`
+  };
+}
+
+// Output name and SQL expression for a metric
+function metricExpression({ function: fn, column, as }) {
+  if (!column && fn !== 'count') {
+    throw new JsonRpcError(INVALID_PARAMS, `Metric '${fn}' needs a column`);
+  }
+
+  const name = as || (column ? `${fn}_${column}` : fn);
+  switch (fn) {
+    case 'count':
+      return { name, expression: column ? `count(${quoteIdentifier(column)})` : 'count(*)' };
+    case 'count_distinct':
+      return { name, expression: `count(DISTINCT ${quoteIdentifier(column)})` };
+    default:
+      return { name, expression: `${fn}(${quoteIdentifier(column)})` };
+  }
+}
+
+// Build the aggregate query. Rows are ordered by `orderBy` (any output
+// field) and then by the group keys, so capped results are deterministic.
+export function buildAggregateQuery({ table, metrics, groupBy = [], filters, orderBy, ascending = true, limit }) {
+  const keys = groupBy.map(groupKey);
+  const values = metrics.map(metricExpression);
+  const names = [...keys, ...values].map(field => field.name);
+
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new JsonRpcError(INVALID_PARAMS, `Output field '${duplicate}' appears more than once; rename a metric with "as"`);
+  }
+  if (orderBy && !names.includes(orderBy)) {
+    throw new JsonRpcError(INVALID_PARAMS, `orderBy must be one of the output fields: ${names.join(', ')}`);
+  }
+
+  const direction = ascending ? 'ASC' : 'DESC';
+  const ordering = [
+    ...(orderBy ? [`${quoteIdentifier(orderBy)} ${direction}`] : []),
+    ...keys.filter(key => key.name !== orderBy).map(key => `${quoteIdentifier(key.name)} ${direction}`)
+  ];
+
+  const select = [...keys, ...values]
+    .map(field => `${field.expression} AS ${quoteIdentifier(field.name)}`)
+    .join(', ');
+
+  let sql = `SELECT ${select} FROM ${quoteIdentifier(table)} WHERE ${filtersToSQL(filters)}`;
+  if (keys.length > 0) {
+    sql += ` GROUP BY ${keys.map(key => key.expression).join(', ')}`;
+  }
+  if (ordering.length > 0) {
+    sql += ` ORDER BY ${ordering.join(', ')}`;
+  }
+  // One extra row tells the caller the result was capped
+  return `${sql} LIMIT ${limit + 1}`;
+}
@@ -0,0 +1,302 @@
+import { timingSafeEqual } from 'crypto';
+import { parse } from 'url';
+import { parseScope } from './scope.js';
+import { JwtVerifier, JwtError, looksLikeJwt } from './jwt.js';
+import {
+  TOKEN_SCOPES, TOOL_SCOPES, USER_JWT_AUDIENCE, USER_JWT_ROLE, USER_JWT_SCOPES
+} from './config.js';
+import { sendJSON } from './http.js';
+import { TokenStore, generateSalt, hashToken } from './token-store.js';
+import { getOAuthVerifier, oauthContext, queryTokensAllowed, bearerChallenge } from './oauth.js';
+
+// Token registry shared by every HTTP handler. Each token has a name, the
+// scopes it grants (see TOKEN_SCOPES), the tables it may read (patterns as
+// in MCP_TABLES_ALLOW; unset means every exposed table), an optional row
+// scope (see scope.js) and an optional expiry. Tokens come from the token
+// file managed by the `token` command (see token-store.js) and MCP_TOKENS:
+//
+//   [{ "name": "reporting", "token": "…", "scopes": ["tools:query"],
+//      "tables": ["articles", "notes*"], "rows": { "*": { "user_id": "u1" } },
+//      "expiresAt": "2026-12-31T00:00:00Z" }]
+//
+// MCP_AUTH_TOKEN is still accepted as a token named "default" with the admin
+// scope and MCP_AUTH_SCOPE as its row scope. There is no default secret:
+// with no tokens configured every request is refused.
+//
+// With MCP_USER_JWT set, a Supabase user JWT is accepted as well. It is
+// verified locally (see jwt.js) with SUPABASE_JWT_SECRET, or else with the
+// project's JWKS, and the core queries with a client carrying it, so
+// Postgres RLS policies decide what the user can read.
+//
+// With MCP_OAUTH_ISSUER set, OAuth access tokens from that issuer are
+// accepted too (see oauth.js).
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+}
+
+// Salt and hash for an entry: stored ones from the token file, else made
+// from its token value with a fresh salt. Every entry is kept this way, so
+// tokens are compared as equal-length SHA-256 hashes.
+function entrySecret({ name, token, salt, hash }, source) {
+  if (typeof hash === 'string') {
+    const stored = { salt: Buffer.from(String(salt), 'base64'), digest: Buffer.from(hash, 'base64') };
+    if (stored.digest.length !== 32) {
+      throw new Error(`Invalid ${source}: token '${name}' has a malformed hash`);
+    }
+    return stored;
+  }
+  if (typeof token !== 'string' || !token) {
+    throw new Error(`Invalid ${source}: token '${name}' has no token value`);
+  }
+  const fresh = generateSalt();
+  return { salt: fresh, digest: hashToken(token, fresh) };
+}
+
+// Check one token entry from configuration, returning it in registry form
+function parseEntry(entry, source) {
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`Invalid ${source}: expected an array of token objects`);
+  }
+  const { name, scopes = [], tables, rows, expiresAt } = entry;
+
+  if (typeof name !== 'string' || !name) {
+    throw new Error(`Invalid ${source}: every token needs a name`);
+  }
+  const { salt, digest } = entrySecret(entry, source);
+  if (!isStringList(scopes)) {
+    throw new Error(`Invalid ${source}: scopes of '${name}' must be a list of strings`);
+  }
+  const unknown = scopes.find(scope => !TOKEN_SCOPES.includes(scope));
+  if (unknown) {
+    throw new Error(`Invalid ${source}: unknown scope '${unknown}' on '${name}'; use one of: ${TOKEN_SCOPES.join(', ')}`);
+  }
+  if (tables !== undefined && tables !== null && !isStringList(tables)) {
+    throw new Error(`Invalid ${source}: tables of '${name}' must be a list of table patterns`);
+  }
+
+  const expires = expiresAt === undefined || expiresAt === null ? null : Date.parse(expiresAt);
+  if (Number.isNaN(expires)) {
+    throw new Error(`Invalid ${source}: expiresAt of '${name}' is not a date`);
+  }
+
+  return {
+    name,
+    salt,
+    digest,
+    scopes,
+    tables: tables || null,
+    rows: parseScope(rows, `${source} rows of '${name}'`) || null,
+    expiresAt: expires
+  };
+}
+
+// Parse MCP_TOKENS (a JSON array of tokens)
+export function parseTokens(value, source = 'MCP_TOKENS') {
+  if (!value) {
+    return [];
+  }
+
+  let entries;
+  try {
+    entries = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    throw new Error(`Invalid ${source}: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`Invalid ${source}: expected an array of token objects`);
+  }
+  return entries.map(entry => parseEntry(entry, source));
+}
+
+export class TokenRegistry {
+  constructor(entries = []) {
+    this.entries = [];
+    entries.forEach(entry => this.add(entry));
+  }
+
+  // Tokens from the token file and MCP_TOKENS, plus the legacy MCP_AUTH_TOKEN
+  static fromEnv(env = process.env) {
+    const registry = new TokenRegistry();
+    const store = new TokenStore(env.MCP_TOKEN_FILE);
+    store.load().forEach(record => registry.add(parseEntry(record, `token file ${store.path}`)));
+    parseTokens(env.MCP_TOKENS).forEach(entry => registry.add(entry));
+    if (env.MCP_AUTH_TOKEN) {
+      registry.add(parseEntry({
+        name: 'default',
+        token: env.MCP_AUTH_TOKEN,
+        scopes: ['admin'],
+        rows: parseScope(env.MCP_AUTH_SCOPE, 'MCP_AUTH_SCOPE')
+      }, 'MCP_AUTH_TOKEN'));
+    }
+    return registry;
+  }
+
+  // Add a parsed entry, or a raw one with a token value
+  add(entry) {
+    const parsed = entry.digest ? entry : parseEntry(entry, 'token');
+    if (this.entries.some(existing => existing.name === parsed.name)) {
+      throw new Error(`Duplicate token name '${parsed.name}'`);
+    }
+    this.entries.push(parsed);
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  // The credential context for a presented token, or null when it matches
+  // no token or has expired. Every entry is compared in constant time,
+  // without stopping at a match.
+  authenticate(token, now = Date.now()) {
+    if (typeof token !== 'string' || !token) {
+      return null;
+    }
+
+    let match = null;
+    for (const entry of this.entries) {
+      if (timingSafeEqual(hashToken(token, entry.salt), entry.digest) && !match) {
+        match = entry;
+      }
+    }
+
+    if (!match || (match.expiresAt !== null && match.expiresAt <= now)) {
+      return null;
+    }
+    return { name: match.name, scopes: match.scopes, tables: match.tables, rows: match.rows };
+  }
+}
+
+let sharedRegistry;
+let sharedVersion;
+let failedVersion;
+
+// One registry per process from the environment, rebuilt when the token
+// file changes, so tokens revoked or rotated with the `token` command stop
+// working without a restart. A file that fails to load (a bad edit, or a
+// write caught halfway) is reported once and the previous tokens stay in
+// use until the file changes again.
+export function getTokenRegistry() {
+  const version = new TokenStore().version();
+  if (sharedRegistry && (version === sharedVersion || version === failedVersion)) {
+    return sharedRegistry;
+  }
+
+  try {
+    sharedRegistry = TokenRegistry.fromEnv();
+    sharedVersion = version;
+  } catch (error) {
+    if (!sharedRegistry) {
+      throw error;
+    }
+    failedVersion = version;
+    console.error(`Keeping the previous tokens: ${error.message}`);
+  }
+  return sharedRegistry;
+}
+
+// The token a request presents: an Authorization Bearer header, else the
+// token query parameter unless MCP_QUERY_TOKENS is off. Vercel parses the
+// query into req.query.
+export function requestToken(req) {
+  const header = req.headers.authorization;
+  if (header?.startsWith('Bearer ')) {
+    return header.substring(7);
+  }
+  if (!queryTokensAllowed()) {
+    return null;
+  }
+  const query = req.query || parse(req.url, true).query;
+  return typeof query.token === 'string' ? query.token : null;
+}
+
+let sharedVerifier;
+
+// Verifier for user JWTs, or null when MCP_USER_JWT is off
+export function getUserJwtVerifier() {
+  if (sharedVerifier === undefined) {
+    const env = process.env;
+    const enabled = ['1', 'true', 'on'].includes(String(env.MCP_USER_JWT).toLowerCase());
+    const projectUrl = env.SUPABASE_URL?.replace(/\/$/, '');
+    sharedVerifier = enabled
+      ? new JwtVerifier({
+        secret: env.SUPABASE_JWT_SECRET,
+        jwksUrl: env.SUPABASE_JWT_SECRET ? undefined : env.SUPABASE_JWKS_URL || `${projectUrl}/auth/v1/.well-known/jwks.json`,
+        issuer: `${projectUrl}/auth/v1`,
+        audience: USER_JWT_AUDIENCE
+      })
+      : null;
+  }
+  return sharedVerifier;
+}
+
+// Credential context for a Supabase user JWT, or null. Only signed-in
+// users qualify: the anon key and service role key are JWTs too, but one
+// is public and the other bypasses RLS.
+export async function userJwtContext(verifier, token) {
+  let claims;
+  try {
+    claims = await verifier.verify(token);
+  } catch (error) {
+    if (!(error instanceof JwtError)) {
+      console.error('User JWT verification failed:', error.message);
+    }
+    return null;
+  }
+
+  if (claims.role !== USER_JWT_ROLE || typeof claims.sub !== 'string') {
+    return null;
+  }
+  return { name: `user:${claims.sub}`, scopes: USER_JWT_SCOPES, tables: null, rows: null, jwt: token };
+}
+
+// Authenticate a request: a token from the shared registry, else an OAuth
+// access token or a user JWT when those are accepted. Resolves to the
+// credential context, or null.
+export async function authenticateRequest(req) {
+  return authenticateToken(requestToken(req));
+}
+
+// Authenticate a presented token as authenticateRequest does. Long-lived
+// sessions use it to check their token again on later messages.
+export async function authenticateToken(token) {
+  const context = getTokenRegistry().authenticate(token);
+  if (context || !looksLikeJwt(token)) {
+    return context;
+  }
+
+  const oauth = getOAuthVerifier();
+  const fromOAuth = oauth ? await oauthContext(oauth, token) : null;
+  if (fromOAuth) {
+    return fromOAuth;
+  }
+
+  const user = getUserJwtVerifier();
+  return user ? userJwtContext(user, token) : null;
+}
+
+// Answer a request that failed authentication, with a Bearer challenge
+export function sendUnauthorized(req, res) {
+  const usage = queryTokensAllowed()
+    ? 'Use Authorization: Bearer <token> header or ?token=<token> parameter'
+    : 'Use Authorization: Bearer <token> header';
+  sendJSON(res, 401, {
+    error: 'Unauthorized',
+    message: `Valid token required. ${usage}`
+  }, {
+    'WWW-Authenticate': bearerChallenge(req, { presented: Boolean(requestToken(req)) })
+  });
+}
+
+// Context for the local stdio transport: no token and every tool, but still
+// limited to MCP_AUTH_SCOPE when set
+export function localContext() {
+  return { name: 'local', scopes: null, tables: null, rows: parseScope(process.env.MCP_AUTH_SCOPE, 'MCP_AUTH_SCOPE') || null };
+}
+
+// Whether a credential context may call `tool`. Contexts without scopes
+// (local) may call anything; admin implies every scope.
+export function toolAllowed(context, tool) {
+  const scopes = context?.scopes;
+  return !scopes || scopes.includes('admin') || scopes.includes(TOOL_SCOPES[tool]);
+}
@@ -0,0 +1,150 @@
+// Shared server identity and limits used by every transport
+
+export const SERVER_INFO = {
+  name: 'Supabase Read-Only MCP Server',
+  version: '1.0.0'
+};
+
+// MCP protocol versions this server speaks, newest first
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+// Tables exposed to agents are discovered from the database and filtered
+// through these patterns (overridable with MCP_TABLES_ALLOW/MCP_TABLES_DENY)
+export const DEFAULT_TABLE_ALLOW = ['*'];
+export const DEFAULT_TABLE_DENY = ['*_backup', 'migrations'];
+
+// How long introspected table schemas are cached
+export const SCHEMA_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Key column assumed for keyset pagination when a table (such as a view)
+// declares no primary key
+export const DEFAULT_PRIMARY_KEY = 'id';
+
+// Postgres function behind query_database (see sql/readonly_query.sql)
+export const READONLY_QUERY_FUNCTION = 'mcp_readonly_query';
+
+// The only role that may call it. The server acts as this role with
+// MCP_SQL_KEY, a JWT naming it.
+export const SQL_ROLE = 'mcp_server';
+
+// How long an MCP_SQL_KEY from `token sql-key` lasts unless --expires says
+// otherwise; keys that never expire must be asked for with --expires never
+export const SQL_KEY_EXPIRY = '90d';
+
+// Text columns the search tool matches, per table (overridable with
+// MCP_SEARCH_COLUMNS, e.g. "articles:title,description;notes:body") and
+// the text search configuration (MCP_SEARCH_LANGUAGE)
+export const DEFAULT_SEARCH_COLUMNS = {
+  articles: ['title', 'description'],
+  notes: ['body']
+};
+export const DEFAULT_SEARCH_LANGUAGE = 'english';
+
+// How get_dashboard assembles a dashboard: each level embeds related rows
+// by foreign key, ordered by orderBy when the table has that column (else
+// by primary key). Link tables such as section_order and column_items carry
+// the order and embed the rows they point to.
+export const DASHBOARD_TREE = {
+  table: 'dashboards',
+  include: [
+    { table: 'section_order', orderBy: 'position', include: [{ table: 'sections' }] },
+    {
+      table: 'columns',
+      orderBy: 'position',
+      include: [{ table: 'column_items', orderBy: 'position', include: [{ table: 'items' }] }]
+    }
+  ]
+};
+export const DASHBOARD_MAX_DEPTH = 3;
+export const DEFAULT_DASHBOARD_CHILDREN = 50;
+
+// How get_project_overview assembles a project: the owning team, sections
+// and groups are embedded like DASHBOARD_TREE; articles are counted per group
+// through PROJECT_GROUP_ARTICLES. Recent notes are found along the first of
+// PROJECT_NOTE_PATHS (tables from notes to projects) the schema supports.
+export const PROJECT_TREE = {
+  table: 'projects',
+  include: [
+    { table: 'teams' },
+    { table: 'sections', orderBy: 'position' },
+    { table: 'groups', orderBy: 'position' }
+  ]
+};
+export const PROJECT_GROUP_ARTICLES = 'group_articles';
+export const PROJECT_NOTE_PATHS = [
+  ['notes', 'projects'],
+  ['notes', 'articles', 'group_articles', 'groups', 'projects']
+];
+export const DEFAULT_PROJECT_CHILDREN = 50;
+export const DEFAULT_RECENT_NOTES = 10;
+
+// Team membership and profiles behind list_team_members and
+// get_user_context. Only DEFAULT_PROFILE_COLUMNS (overridable with
+// MCP_PROFILE_COLUMNS) are returned from profiles; the display name is the
+// first non-empty of PROFILE_NAME_COLUMNS. USER_COLUMN marks the rows a user
+// owns, e.g. projects.user_id and articles.user_id.
+export const TEAM_MEMBERSHIP = { table: 'teams_users', team: 'team_id', user: 'user_id' };
+export const PROFILES_TABLE = 'profiles';
+export const DEFAULT_PROFILE_COLUMNS = ['id', 'username', 'avatar_url'];
+export const PROFILE_NAME_COLUMNS = ['display_name', 'full_name', 'username'];
+export const USER_COLUMN = 'user_id';
+export const RECENT_ARTICLE_COLUMNS = ['id', 'title', 'url', 'created_at'];
+export const DEFAULT_RECENT_ARTICLES = 10;
+
+// Column redaction rules (see redaction.js), overridable with
+// MCP_COLUMN_POLICY as JSON. By default profiles only show the same columns
+// as a public profile.
+export const DEFAULT_COLUMN_POLICY = {
+  profiles: { '*': 'deny', id: 'allow', username: 'allow', avatar_url: 'allow' }
+};
+export const MASK_VISIBLE_CHARS = 4;
+export const DEFAULT_TRUNCATE_LENGTH = 32;
+
+// Streamable HTTP and legacy SSE sessions end after this long without a
+// request, and at most this many of each are kept at once
+export const SESSION_IDLE_TTL_MS = 30 * 60 * 1000;
+export const MAX_SESSIONS = 1000;
+
+// Row limits applied by query_table and query_database
+export const DEFAULT_LIMIT = 100;
+export const MAX_LIMIT = 1000;
+
+// Scopes a token can grant (see auth.js) and the scope each tool needs;
+// admin grants every tool
+export const TOKEN_SCOPES = ['admin', 'tools:query', 'tools:schema'];
+export const TOOL_SCOPES = {
+  get_schema: 'tools:schema',
+  list_tables: 'tools:schema',
+  query_table: 'tools:query',
+  query_database: 'tools:query',
+  count_records: 'tools:query',
+  aggregate: 'tools:query',
+  search: 'tools:query',
+  get_dashboard: 'tools:query',
+  get_project_overview: 'tools:query',
+  list_team_members: 'tools:query',
+  get_user_context: 'tools:query'
+};
+
+// Verifying JWTs (see jwt.js): how long a JWKS is cached, how soon an
+// unknown key id may refetch it, and the clock skew allowed on exp and nbf
+export const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+export const JWKS_MIN_REFRESH_MS = 30 * 1000;
+export const JWT_CLOCK_TOLERANCE_S = 30;
+
+// Supabase user JWTs forwarded with MCP_USER_JWT: the audience and role
+// they must carry, and the token scopes they grant
+export const USER_JWT_AUDIENCE = 'authenticated';
+export const USER_JWT_ROLE = 'authenticated';
+export const USER_JWT_SCOPES = ['tools:query', 'tools:schema'];
+
+// Where OAuth clients find the protected resource metadata (RFC 9728)
+export const RESOURCE_METADATA_PATH = '/.well-known/oauth-protected-resource';
+
+// Tokens made by the `token` command (see token-store.js): where their
+// salted hashes are kept (overridable with MCP_TOKEN_FILE) and their shape
+export const DEFAULT_TOKEN_FILE = '.mcp-tokens.json';
+export const TOKEN_PREFIX = 'mcp_';
+export const TOKEN_BYTES = 32;
+export const TOKEN_SALT_BYTES = 16;
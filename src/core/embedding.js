@@ -0,0 +1,190 @@
+import { JsonRpcError, INVALID_PARAMS } from './jsonrpc.js';
+
+// Resource embedding for query_table's `include` argument. Each include
+// names a related table; the relationship must follow a known foreign key:
+//   many-to-one   the parent has a foreign key to the included table
+//   one-to-many   the included table has a foreign key to the parent
+//   many-to-many  a junction table has foreign keys (in its primary key)
+//                 to both, e.g. groups -> group_articles -> articles
+// Includes are rendered as PostgREST embeds: select=*,articles(id,title).
+
+// Every way `parent` relates to `target`, each with the hint PostgREST
+// accepts to pick it (a foreign key column or a junction table)
+export function findRelationships(schemas, parent, target) {
+  const relationships = [];
+  const parentSchema = schemas.get(parent);
+  const targetSchema = schemas.get(target);
+  if (!parentSchema || !targetSchema) {
+    return relationships;
+  }
+
+  for (const fk of parentSchema.foreignKeys) {
+    if (fk.references.table === target) {
+      relationships.push({ kind: 'many-to-one', hint: fk.column });
+    }
+  }
+
+  for (const fk of targetSchema.foreignKeys) {
+    if (fk.references.table === parent) {
+      relationships.push({ kind: 'one-to-many', hint: fk.column });
+    }
+  }
+
+  for (const junction of schemas.values()) {
+    if (junction.table === parent || junction.table === target) {
+      continue;
+    }
+    const keyed = junction.foreignKeys.filter(fk => junction.primaryKey.includes(fk.column));
+    if (keyed.some(fk => fk.references.table === parent) && keyed.some(fk => fk.references.table === target)) {
+      relationships.push({ kind: 'many-to-many', hint: junction.table, junction: junction.table });
+    }
+  }
+
+  return relationships;
+}
+
+// Resolve include specs against the schema, depth first. Throws
+// INVALID_PARAMS for tables that are not exposed or not related.
+export function planIncludes(schemas, tables, parent, includes = [], path = []) {
+  return includes.map(include => {
+    const embedPath = [...path, include.table];
+    const where = embedPath.join('.');
+
+    if (!tables.includes(include.table)) {
+      throw new JsonRpcError(INVALID_PARAMS, `Cannot include '${where}': table is not available`);
+    }
+
+    const relationships = findRelationships(schemas, parent, include.table)
+      .filter(relationship => !relationship.junction || tables.includes(relationship.junction));
+    const matching = include.via
+      ? relationships.filter(relationship => relationship.hint === include.via)
+      : relationships;
+
+    if (matching.length === 0) {
+      const detail = include.via ? ` via '${include.via}'` : '';
+      throw new JsonRpcError(INVALID_PARAMS, `Cannot include '${where}': no foreign key relates '${parent}' to '${include.table}'${detail}`);
+    }
+    if (matching.length > 1) {
+      const hints = matching.map(relationship => relationship.hint).join(', ');
+      throw new JsonRpcError(INVALID_PARAMS, `Cannot include '${where}': '${parent}' relates to '${include.table}' in more than one way; set via to one of: ${hints}`);
+    }
+
+    return {
+      table: include.table,
+      hint: include.via,
+      columns: include.columns,
+      limit: include.limit,
+      orderBy: include.orderBy,
+      path: where,
+      children: planIncludes(schemas, tables, include.table, include.include, embedPath)
+    };
+  });
+}
+
+// PostgREST select string for columns plus nested embeds
+export function renderSelect(columns, plans = []) {
+  const fields = columns ? [...columns] : ['*'];
+  for (const plan of plans) {
+    const name = plan.hint ? `${plan.table}!${plan.hint}` : plan.table;
+    fields.push(`${name}(${renderSelect(plan.columns, plan.children)})`);
+  }
+  return fields.join(',');
+}
+
+// Per-embed ordering as [referencedTable path, column] pairs
+export function embedOrders(plans) {
+  return plans.flatMap(plan => [
+    ...(plan.orderBy ? [[plan.path, plan.orderBy]] : []),
+    ...embedOrders(plan.children)
+  ]);
+}
+
+// Per-embed row limits as [referencedTable path, limit] pairs
+export function embedLimits(plans) {
+  return plans.flatMap(plan => [
+    ...(plan.limit ? [[plan.path, plan.limit]] : []),
+    ...embedLimits(plan.children)
+  ]);
+}
+
+// Follow `path` (a list of tables) one foreign key at a time. Returns the
+// hops as { table, kind, hint }, or null when a table is not exposed or a
+// step does not follow exactly one direct foreign key.
+export function findPath(schemas, tables, path) {
+  const hops = [];
+  for (let index = 1; index < path.length; index++) {
+    const table = path[index];
+    const relationships = tables.includes(table)
+      ? findRelationships(schemas, path[index - 1], table).filter(relationship => !relationship.junction)
+      : [];
+    if (relationships.length !== 1) {
+      return null;
+    }
+    hops.push({ table, ...relationships[0] });
+  }
+  return hops;
+}
+
+// Turn a configured tree (e.g. DASHBOARD_TREE) into include specs for one
+// request. Levels deeper than `depth` are cut, every list of child rows is
+// limited to `maxChildren`, and branches whose table is not exposed or has
+// no single foreign key to its parent are dropped and reported in `omitted`.
+export function treeIncludes(tree, schemas, tables, { depth, maxChildren }) {
+  const omitted = [];
+
+  function resolve(parent, includes = [], level, path) {
+    if (level > depth) {
+      return [];
+    }
+
+    return includes.flatMap(include => {
+      const where = [...path, include.table].join('.');
+      const relationships = tables.includes(include.table)
+        ? findRelationships(schemas, parent, include.table)
+          .filter(relationship => !relationship.junction || tables.includes(relationship.junction))
+        : [];
+
+      if (relationships.length !== 1) {
+        omitted.push(where);
+        return [];
+      }
+
+      const children = resolve(include.table, include.include, level + 1, [...path, include.table]);
+      const spec = { table: include.table, ...(children.length > 0 ? { include: children } : {}) };
+
+      // A many-to-one embed is a single row: nothing to order or limit
+      if (relationships[0].kind === 'many-to-one') {
+        return [spec];
+      }
+
+      // Order by the configured column when the table has it
+      const schema = schemas.get(include.table);
+      const orderBy = schema.columns.some(column => column.name === include.orderBy)
+        ? include.orderBy
+        : schema.primaryKey[0];
+
+      return [{ ...spec, orderBy, limit: maxChildren }];
+    });
+  }
+
+  return { includes: resolve(tree.table, tree.include, 1, []), omitted };
+}
+
+// Paths whose child list hit the row limit somewhere in the tree
+export function truncatedPaths(row, plans) {
+  const paths = new Set();
+
+  function walk(node, nodePlans) {
+    for (const plan of nodePlans) {
+      const value = node?.[plan.table];
+      const children = Array.isArray(value) ? value : value ? [value] : [];
+      if (Array.isArray(value) && plan.limit && value.length >= plan.limit) {
+        paths.add(plan.path);
+      }
+      children.forEach(child => walk(child, plan.children));
+    }
+  }
+
+  walk(row, plans);
+  return [...paths];
+}
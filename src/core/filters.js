@@ -0,0 +1,237 @@
+import { JsonRpcError, INVALID_PARAMS } from './jsonrpc.js';
+
+// Structured filter grammar shared by every tool that filters rows.
+//
+//   filters   := { <column>: condition, ..., "and": [filters], "or": [filters] }
+//   condition := scalar          equality (null means IS NULL)
+//              | [scalar, ...]   IN
+//              | { <op>: value } one or more operators, combined with AND
+//
+// Conditions at the same level are combined with AND; "or" takes a list of
+// filter objects of which at least one must match.
+
+// Grammar operators mapped to PostgREST operators
+export const FILTER_OPERATORS = {
+  eq: 'eq',
+  neq: 'neq',
+  gt: 'gt',
+  gte: 'gte',
+  lt: 'lt',
+  lte: 'lte',
+  like: 'like',
+  ilike: 'ilike',
+  in: 'in',
+  is: 'is',
+  isNot: 'not.is',
+  contains: 'cs',
+  containedBy: 'cd',
+  overlaps: 'ov'
+};
+
+const LOGICAL_KEYS = ['and', 'or'];
+
+// Parse a filter object into a tree of groups ({ logic, children }) and
+// conditions ({ column, op, value })
+export function parseFilters(filters = {}, logic = 'and') {
+  const children = [];
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (LOGICAL_KEYS.includes(key)) {
+      children.push({ logic: key, children: value.map(group => parseFilters(group)) });
+    } else if (Array.isArray(value)) {
+      children.push({ column: key, op: 'in', value });
+    } else if (value !== null && typeof value === 'object') {
+      for (const [op, operand] of Object.entries(value)) {
+        children.push({ column: key, op, value: operand });
+      }
+    } else {
+      children.push({ column: key, op: 'eq', value });
+    }
+  }
+
+  return { logic, children };
+}
+
+// Double-quote a string for PostgREST, escaping quotes and backslashes
+function quote(value) {
+  return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+// Format a scalar, quoting strings where reserved characters would break parsing
+function formatScalar(value, quoteStrings) {
+  if (value === null) return 'null';
+  if (typeof value === 'string') return quoteStrings ? quote(value) : value;
+  return String(value);
+}
+
+// Postgres array literal for array operators, JSON for jsonb containment
+function formatContainment(value) {
+  if (Array.isArray(value)) {
+    return `{${value.map(item => formatScalar(item, true)).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// The operator `op` maps to in `operators`. Only own keys count, so names
+// like toString never render as an operator.
+function operatorFor(operators, { column, op }) {
+  if (!Object.hasOwn(operators, op)) {
+    throw new JsonRpcError(INVALID_PARAMS, `Unknown filter operator '${op}' on '${column}'`);
+  }
+  return operators[op];
+}
+
+// Render a condition as a PostgREST [operator, value] pair
+function renderCondition(condition, inLogicTree) {
+  const { op, value } = condition;
+  const operator = operatorFor(FILTER_OPERATORS, condition);
+
+  // Equality with null only makes sense as IS NULL
+  if (value === null && op === 'eq') return ['is', 'null'];
+  if (value === null && op === 'neq') return ['not.is', 'null'];
+
+  switch (op) {
+    case 'in':
+      return ['in', `(${value.map(item => formatScalar(item, true)).join(',')})`];
+
+    case 'is':
+    case 'isNot':
+      return [operator, String(value)];
+
+    case 'contains':
+    case 'containedBy':
+    case 'overlaps':
+      return [operator, formatContainment(value)];
+
+    default:
+      return [operator, formatScalar(value, inLogicTree)];
+  }
+}
+
+// Render a node in PostgREST logic tree syntax, e.g. and(a.eq.1,b.is.null)
+function renderLogic(node) {
+  if (node.column) {
+    const [operator, value] = renderCondition(node, true);
+    return `${node.column}.${operator}.${value}`;
+  }
+
+  if (node.children.length === 1) {
+    return renderLogic(node.children[0]);
+  }
+  return `${node.logic}(${node.children.map(renderLogic).join(',')})`;
+}
+
+// Apply a parsed node to a PostgREST query; top-level AND groups flatten
+// into plain query parameters, OR groups become an or=(...) parameter
+function applyNode(query, node) {
+  if (node.column) {
+    const [operator, value] = renderCondition(node, false);
+    return query.filter(node.column, operator, value);
+  }
+
+  if (node.logic === 'and') {
+    return node.children.reduce(applyNode, query);
+  }
+
+  return query.or(node.children.map(renderLogic).join(','));
+}
+
+// Every column a filter object refers to
+export function filterColumns(filters) {
+  const columns = new Set();
+  const walk = node => node.column ? columns.add(node.column) : node.children.forEach(walk);
+  if (filters) {
+    walk(parseFilters(filters));
+  }
+  return [...columns];
+}
+
+// Apply a filter object to a PostgREST query
+export function applyFilters(query, filters) {
+  if (!filters) {
+    return query;
+  }
+  return applyNode(query, parseFilters(filters));
+}
+
+// SQL operators for rendering filters as a WHERE clause
+const SQL_OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE',
+  contains: '@>',
+  containedBy: '<@',
+  overlaps: '&&'
+};
+
+// Double-quote a SQL identifier
+export function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+// Render a scalar as a SQL literal. Strings stay untyped so Postgres
+// coerces them to the column's type, as PostgREST does.
+export function quoteLiteral(value) {
+  if (value === null) return 'NULL';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value).toUpperCase();
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// Render a condition as SQL
+function renderSQLCondition(condition) {
+  const { column, op, value } = condition;
+  const target = quoteIdentifier(column);
+  // The same operators as over PostgREST
+  operatorFor(FILTER_OPERATORS, condition);
+
+  if (value === null && (op === 'eq' || op === 'is')) return `${target} IS NULL`;
+  if (value === null && (op === 'neq' || op === 'isNot')) return `${target} IS NOT NULL`;
+
+  switch (op) {
+    case 'in':
+      return `${target} IN (${value.map(quoteLiteral).join(', ')})`;
+
+    case 'is':
+      return `${target} IS ${quoteLiteral(value)}`;
+
+    case 'isNot':
+      return `${target} IS NOT ${quoteLiteral(value)}`;
+
+    case 'contains':
+    case 'containedBy':
+    case 'overlaps':
+      return `${target} ${operatorFor(SQL_OPERATORS, condition)} ${quoteLiteral(formatContainment(value))}`;
+
+    default:
+      return `${target} ${operatorFor(SQL_OPERATORS, condition)} ${quoteLiteral(value)}`;
+  }
+}
+
+// Render a parsed node as a SQL boolean expression
+function renderSQLNode(node) {
+  if (node.column) {
+    return renderSQLCondition(node);
+  }
+  if (node.children.length === 0) {
+    return 'TRUE';
+  }
+  if (node.children.length === 1) {
+    return renderSQLNode(node.children[0]);
+  }
+  const joiner = node.logic === 'or' ? ' OR ' : ' AND ';
+  return `(${node.children.map(renderSQLNode).join(joiner)})`;
+}
+
+// Render a filter object as a SQL WHERE condition, with the same meaning
+// applyFilters gives it over PostgREST
+export function filtersToSQL(filters) {
+  if (!filters) {
+    return 'TRUE';
+  }
+  return renderSQLNode(parseFilters(filters));
+}
@@ -0,0 +1,28 @@
+// Small HTTP helpers shared by the Node server and the Vercel handlers
+
+// Read the full request body as a string
+export function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+// Read and parse a JSON request body. Vercel pre-parses bodies into
+// req.body, so use that when it is present.
+export async function readJSONBody(req) {
+  if (req.body !== undefined) {
+    return typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  }
+  return JSON.parse(await readBody(req));
+}
+
+// Send a JSON response with optional extra headers
+export function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
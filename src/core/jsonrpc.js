@@ -0,0 +1,45 @@
+// JSON-RPC 2.0 error codes and helpers shared by the core and transports
+
+export const PARSE_ERROR = -32700;
+export const INVALID_REQUEST = -32600;
+export const METHOD_NOT_FOUND = -32601;
+export const INVALID_PARAMS = -32602;
+export const INTERNAL_ERROR = -32603;
+export const NOT_INITIALIZED = -32002;
+export const FORBIDDEN = -32003;
+
+// An error that maps onto a JSON-RPC error response
+export class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// Build a JSON-RPC error response
+export function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return { jsonrpc: '2.0', id, error };
+}
+
+// Build the response for a body that failed to parse
+export function parseErrorResponse(error) {
+  return errorResponse(null, PARSE_ERROR, `Parse error: ${error.message}`);
+}
+
+// Is this a valid JSON-RPC id (string, number or null)?
+export function isValidId(id) {
+  return id === null || typeof id === 'string' || typeof id === 'number';
+}
+
+// Responses sent by the client (to server requests) have no method but a
+// result or error
+export function isResponse(message) {
+  return message !== null && typeof message === 'object' && !Array.isArray(message) &&
+    message.method === undefined && ('result' in message || 'error' in message);
+}
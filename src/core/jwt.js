@@ -0,0 +1,184 @@
+import { createHmac, createPublicKey, timingSafeEqual, verify } from 'crypto';
+import { JWKS_CACHE_TTL_MS, JWKS_MIN_REFRESH_MS, JWT_CLOCK_TOLERANCE_S } from './config.js';
+
+// JSON Web Token verification with node's crypto. Tokens are checked
+// locally, without calling the issuer:
+//   HS256         against a shared secret (Supabase's JWT secret)
+//   RS256, ES256  against the public keys of a JWKS endpoint, fetched and
+//                 cached like table schemas (see schema.js)
+// then for expiry (exp is required), nbf and, when configured, issuer and
+// audience. Failures throw JwtError with a reason that is safe to log.
+// signJwt makes HS256 tokens, for the key the server calls the SQL
+// function with (see sql/readonly_query.sql).
+
+export class JwtError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JwtError';
+  }
+}
+
+// Signature options for each asymmetric algorithm
+const ASYMMETRIC = {
+  RS256: { digest: 'sha256', keyType: 'RSA' },
+  ES256: { digest: 'sha256', keyType: 'EC', dsaEncoding: 'ieee-p1363' }
+};
+
+function decodeSegment(segment, part) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new JwtError(`Malformed token ${part}`);
+  }
+}
+
+// Split a compact JWT into its decoded parts, without verifying anything
+export function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new JwtError('Not a JWT');
+  }
+  const [header, payload, signature] = parts;
+  return {
+    header: decodeSegment(header, 'header'),
+    payload: decodeSegment(payload, 'payload'),
+    signingInput: `${header}.${payload}`,
+    signature: Buffer.from(signature, 'base64url')
+  };
+}
+
+// Sign claims as an HS256 JWT
+export function signJwt(payload, secret) {
+  const encode = part => Buffer.from(JSON.stringify(part)).toString('base64url');
+  const signingInput = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+  return `${signingInput}.${createHmac('sha256', secret).update(signingInput).digest('base64url')}`;
+}
+
+// Whether a token has the shape of a JWT, to tell JWTs from opaque tokens
+export function looksLikeJwt(token) {
+  return typeof token === 'string' && /^[\w-]+\.[\w-]+\.[\w-]+$/.test(token);
+}
+
+export class JwtVerifier {
+  constructor({
+    secret, jwksUrl, issuer, audience,
+    fetch: fetchImpl = globalThis.fetch, ttl = JWKS_CACHE_TTL_MS, clockTolerance = JWT_CLOCK_TOLERANCE_S
+  } = {}) {
+    if (!secret && !jwksUrl) {
+      throw new Error('JWT verification needs a secret or a JWKS URL');
+    }
+    this.secret = secret;
+    this.jwksUrl = jwksUrl;
+    this.issuer = issuer;
+    this.audience = audience;
+    this.fetch = fetchImpl;
+    this.ttl = ttl;
+    this.clockTolerance = clockTolerance;
+    this.keys = null;
+    this.loadedAt = 0;
+    this.pending = null;
+  }
+
+  // Fetch the key set, keeping the keys usable for signatures
+  async loadKeys() {
+    const response = await this.fetch(this.jwksUrl, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new JwtError(`JWKS request failed: HTTP ${response.status}`);
+    }
+
+    const { keys = [] } = await response.json();
+    return keys
+      .filter(jwk => ['RSA', 'EC'].includes(jwk.kty) && (!jwk.use || jwk.use === 'sig'))
+      .map(jwk => ({ kid: jwk.kid, alg: jwk.alg, kty: jwk.kty, key: createPublicKey({ key: jwk, format: 'jwk' }) }));
+  }
+
+  // Cached keys, refetched when stale or requested. Concurrent callers
+  // share one in-flight request.
+  async getKeys({ refresh = false } = {}) {
+    const fresh = this.keys && Date.now() - this.loadedAt < this.ttl;
+    if (fresh && !refresh) {
+      return this.keys;
+    }
+
+    if (!this.pending) {
+      this.pending = this.loadKeys()
+        .then(keys => {
+          this.keys = keys;
+          this.loadedAt = Date.now();
+          return keys;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  // The key a token names. An unknown kid refetches the set, since the
+  // issuer may have rotated its keys, but at most every JWKS_MIN_REFRESH_MS.
+  async findKey(kid, alg) {
+    const match = keys => keys.find(key =>
+      (kid === undefined || key.kid === kid) && key.kty === ASYMMETRIC[alg].keyType && (!key.alg || key.alg === alg));
+
+    const cached = match(await this.getKeys());
+    if (cached) {
+      return cached.key;
+    }
+    const refreshed = match(await this.getKeys({ refresh: Date.now() - this.loadedAt > JWKS_MIN_REFRESH_MS }));
+    if (!refreshed) {
+      throw new JwtError(`No signing key${kid ? ` '${kid}'` : ''} for ${alg}`);
+    }
+    return refreshed.key;
+  }
+
+  async checkSignature({ header, signingInput, signature }) {
+    const data = Buffer.from(signingInput);
+
+    if (header.alg === 'HS256' && this.secret) {
+      const expected = createHmac('sha256', this.secret).update(data).digest();
+      if (expected.length !== signature.length || !timingSafeEqual(expected, signature)) {
+        throw new JwtError('Invalid signature');
+      }
+      return;
+    }
+
+    const options = ASYMMETRIC[header.alg];
+    if (!options || !this.jwksUrl) {
+      throw new JwtError(`Unsupported algorithm: ${header.alg}`);
+    }
+    const key = await this.findKey(header.kid, header.alg);
+    if (!verify(options.digest, data, { key, dsaEncoding: options.dsaEncoding }, signature)) {
+      throw new JwtError('Invalid signature');
+    }
+  }
+
+  checkClaims(payload, now) {
+    const seconds = now / 1000;
+    if (typeof payload.exp !== 'number') {
+      throw new JwtError('Token has no expiry');
+    }
+    if (payload.exp + this.clockTolerance <= seconds) {
+      throw new JwtError('Token has expired');
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - this.clockTolerance > seconds) {
+      throw new JwtError('Token is not valid yet');
+    }
+    if (this.issuer && payload.iss !== this.issuer) {
+      throw new JwtError('Unexpected issuer');
+    }
+    if (this.audience) {
+      const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+      if (!audiences.includes(this.audience)) {
+        throw new JwtError('Unexpected audience');
+      }
+    }
+  }
+
+  // Verify a token, returning its claims
+  async verify(token, now = Date.now()) {
+    const decoded = decodeJwt(token);
+    await this.checkSignature(decoded);
+    this.checkClaims(decoded.payload, now);
+    return decoded.payload;
+  }
+}
@@ -0,0 +1,1145 @@
+import { createClient } from '@supabase/supabase-js';
+import {
+  SERVER_INFO, SUPPORTED_PROTOCOL_VERSIONS, LATEST_PROTOCOL_VERSION,
+  DEFAULT_TABLE_ALLOW, DEFAULT_TABLE_DENY, DEFAULT_LIMIT, MAX_LIMIT, DEFAULT_PRIMARY_KEY,
+  READONLY_QUERY_FUNCTION, SQL_ROLE, DEFAULT_SEARCH_COLUMNS, DEFAULT_SEARCH_LANGUAGE,
+  DASHBOARD_TREE, DASHBOARD_MAX_DEPTH, DEFAULT_DASHBOARD_CHILDREN,
+  PROJECT_TREE, PROJECT_GROUP_ARTICLES, PROJECT_NOTE_PATHS, DEFAULT_PROJECT_CHILDREN, DEFAULT_RECENT_NOTES,
+  TEAM_MEMBERSHIP, PROFILES_TABLE, DEFAULT_PROFILE_COLUMNS, PROFILE_NAME_COLUMNS, USER_COLUMN,
+  RECENT_ARTICLE_COLUMNS, DEFAULT_RECENT_ARTICLES, DEFAULT_COLUMN_POLICY, TOOL_SCOPES
+} from './config.js';
+import { buildTools } from './tools.js';
+import { validateArguments } from './validation.js';
+import { applyFilters, filterColumns } from './filters.js';
+import { SchemaIntrospector } from './schema.js';
+import { parsePatterns, filterTables } from './tables.js';
+import { validateQuery } from './sql.js';
+import {
+  findRelationships, findPath, planIncludes, renderSelect, embedLimits, embedOrders, treeIncludes, truncatedPaths
+} from './embedding.js';
+import { buildAggregateQuery } from './aggregate.js';
+import { parseSearchColumns, searchableColumns, buildSearchQuery } from './search.js';
+import { profileSelect, publicProfile } from './profiles.js';
+import { ColumnPolicy, parseColumnPolicy } from './redaction.js';
+import { scopeConditions, combineFilters, embeddedConditions } from './scope.js';
+import { toolAllowed } from './auth.js';
+import { queryFingerprint, encodeCursor, decodeCursor, keysetFilter, sortColumns } from './pagination.js';
+import {
+  JsonRpcError, errorResponse, isValidId, isResponse,
+  INVALID_REQUEST, METHOD_NOT_FOUND, INVALID_PARAMS, INTERNAL_ERROR, NOT_INITIALIZED, FORBIDDEN
+} from './jsonrpc.js';
+
+// Transport-agnostic MCP core: owns the tool registry and message dispatch.
+// Every entry point (Node server, Vercel handlers) is a thin adapter over this.
+class SupabaseMCPCore {
+  constructor({ supabase, userClient, sqlClient, introspector, allowTables, denyTables, searchColumns, profileColumns, columnPolicy } = {}) {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+    if (supabase) {
+      this.supabase = supabase;
+    } else {
+      // Initialize Supabase client
+      if (!supabaseUrl || !supabaseKey) {
+        throw new Error('Missing required environment variables: SUPABASE_URL and SUPABASE_ANON_KEY');
+      }
+
+      this.supabase = createClient(supabaseUrl, supabaseKey);
+    }
+
+    // Clients for forwarded user JWTs send the JWT instead of the anon key,
+    // so PostgREST runs their queries as that user
+    this.userClient = userClient || (jwt => createClient(supabaseUrl, supabaseKey, {
+      global: { headers: { Authorization: `Bearer ${jwt}` } },
+      auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false }
+    }));
+
+    // READONLY_QUERY_FUNCTION may only be called as SQL_ROLE, which the
+    // server becomes the same way, with the MCP_SQL_KEY JWT
+    const sqlKey = process.env.MCP_SQL_KEY;
+    this.sqlClient = sqlClient || (sqlKey ? this.userClient(sqlKey) : null);
+
+    this.introspector = introspector ||
+      new SchemaIntrospector({ url: supabaseUrl, key: supabaseKey });
+
+    this.tablePolicy = {
+      allow: allowTables || parsePatterns(process.env.MCP_TABLES_ALLOW) || DEFAULT_TABLE_ALLOW,
+      deny: denyTables || parsePatterns(process.env.MCP_TABLES_DENY) || DEFAULT_TABLE_DENY
+    };
+
+    this.searchColumns = searchColumns ||
+      parseSearchColumns(process.env.MCP_SEARCH_COLUMNS) || DEFAULT_SEARCH_COLUMNS;
+    this.searchLanguage = process.env.MCP_SEARCH_LANGUAGE || DEFAULT_SEARCH_LANGUAGE;
+
+    this.profileColumns = profileColumns ||
+      parsePatterns(process.env.MCP_PROFILE_COLUMNS) || DEFAULT_PROFILE_COLUMNS;
+
+    // Column redaction applied to every row a tool returns
+    this.columnPolicy = new ColumnPolicy(
+      columnPolicy || parseColumnPolicy(process.env.MCP_COLUMN_POLICY) || DEFAULT_COLUMN_POLICY,
+      { hashKey: process.env.MCP_HASH_KEY }
+    );
+
+    // Filled in by discoverTables()
+    this.tables = [];
+    this.tablesLoaded = null;
+  }
+
+  // Discover tables from the database schema and apply the allow/deny
+  // policy. Runs once; later calls reuse the result unless refresh is set.
+  async discoverTables({ refresh = false } = {}) {
+    if (!this.tablesLoaded || refresh) {
+      this.tablesLoaded = this.introspector.getTables({ refresh })
+        .then(schemas => {
+          this.tables = filterTables([...schemas.keys()], this.tablePolicy);
+          return this.tables;
+        })
+        .catch(error => {
+          // Try again on the next call
+          this.tablesLoaded = null;
+          throw new Error(`Table discovery failed: ${error.message}`);
+        });
+    }
+    return this.tablesLoaded;
+  }
+
+  // Apply structured filters (see filters.js) to a PostgREST query
+  applyFilters(query, filters) {
+    return applyFilters(query, filters);
+  }
+
+  // Primary key columns, used as pagination tiebreakers. A table without a
+  // declared key (such as a view) falls back to DEFAULT_PRIMARY_KEY when it
+  // has that column; otherwise its rows have no stable order.
+  async getPrimaryKey(table) {
+    let schema;
+    try {
+      schema = await this.introspector.getTable(table);
+    } catch (error) {
+      // Introspection unavailable; use the default
+      return [DEFAULT_PRIMARY_KEY];
+    }
+    if (schema?.primaryKey.length > 0) {
+      return schema.primaryKey;
+    }
+    if (!schema || schema.columns.some(column => column.name === DEFAULT_PRIMARY_KEY)) {
+      return [DEFAULT_PRIMARY_KEY];
+    }
+    throw new JsonRpcError(INVALID_PARAMS, `Table '${table}' has no primary key or '${DEFAULT_PRIMARY_KEY}' column to order its rows by`);
+  }
+
+  // The key column rows of `table` are looked up by, for tools taking an id
+  async getIdColumn(table) {
+    const primaryKey = await this.getPrimaryKey(table);
+    if (primaryKey.length !== 1) {
+      throw new JsonRpcError(INVALID_PARAMS, `Table '${table}' has a composite primary key (${primaryKey.join(', ')}) and cannot be looked up by id`);
+    }
+    return primaryKey[0];
+  }
+
+  // What a credential context may read: the exposed tables matching its
+  // table patterns, its row scope and, for a user JWT, the client that
+  // queries as that user. null means everything, with the shared client.
+  callerAccess(context = {}) {
+    const { tables, rows, jwt } = context;
+    if (!tables && !rows && !jwt) {
+      return null;
+    }
+    return {
+      tables: tables ? filterTables(this.tables, { allow: tables, deny: [] }) : null,
+      rows: rows || null,
+      client: jwt ? this.userClient(jwt) : null
+    };
+  }
+
+  // The Supabase client to query with for the caller
+  db(access) {
+    return access?.client || this.supabase;
+  }
+
+  // SQL tools run through READONLY_QUERY_FUNCTION as its own role, so a
+  // user JWT's RLS policies would not apply to them
+  assertSQLAccess(access, tool) {
+    if (access?.client) {
+      throw new Error(`${tool} is not available with a user JWT; Row Level Security only applies to the other tools`);
+    }
+  }
+
+  // Conditions the caller's access puts on a table: {} when the table is
+  // readable without conditions, null when it is off limits (outside the
+  // token's tables or its row scope, see scope.js)
+  async tableScope(table, access) {
+    if (access?.tables && !access.tables.includes(table)) {
+      return null;
+    }
+    if (!access?.rows) {
+      return {};
+    }
+    const schema = await this.introspector.getTable(table);
+    return scopeConditions(access.rows, table, schema?.columns.map(column => column.name) || []);
+  }
+
+  // Exposed tables the caller can read
+  async visibleTables(access) {
+    if (!access) {
+      return this.tables;
+    }
+    const visible = [];
+    for (const table of this.tables) {
+      if (await this.tableScope(table, access)) {
+        visible.push(table);
+      }
+    }
+    return visible;
+  }
+
+  // Caller filters with the scope ANDed in. Out-of-scope tables are
+  // reported like missing ones.
+  async scopedFilters(table, filters, access) {
+    const conditions = await this.tableScope(table, access);
+    if (!conditions) {
+      throw new JsonRpcError(INVALID_PARAMS, `Table '${table}' not found`);
+    }
+    return combineFilters(filters, conditions);
+  }
+
+  // Filters limiting embedded rows (include plans) to the scope. Returns
+  // plain filters rather than a query: awaiting a query would run it.
+  async embedScope(plans, access) {
+    let filters = {};
+    for (const plan of plans) {
+      const conditions = await this.tableScope(plan.table, access);
+      if (!conditions) {
+        throw new JsonRpcError(INVALID_PARAMS, `Cannot include '${plan.path}': table is not available`);
+      }
+      filters = {
+        ...filters,
+        ...embeddedConditions(plan.path, conditions),
+        ...await this.embedScope(plan.children, access)
+      };
+    }
+    return filters;
+  }
+
+  // Query a specific table with filters, one page at a time. Rows are
+  // ordered by orderBy then the primary key columns so cursors are stable.
+  async queryTable({ table, columns, filters, limit = DEFAULT_LIMIT, orderBy, ascending = true, cursor, include }, { access } = {}) {
+    const tables = await this.visibleTables(access);
+    if (!tables.includes(table)) {
+      throw new JsonRpcError(INVALID_PARAMS, `Table '${table}' not found. Available tables: ${tables.join(', ')}`);
+    }
+
+    this.columnPolicy.assertSelectable(table, columns);
+    this.columnPolicy.assertFilterable(table, [...filterColumns(filters), ...(orderBy ? [orderBy] : [])]);
+
+    const primaryKey = await this.getPrimaryKey(table);
+    const fingerprint = queryFingerprint({ table, columns, filters, orderBy, ascending, include });
+    const pageSize = Math.min(limit, MAX_LIMIT);
+
+    // The sort key must be selected to build the next cursor
+    let selected = columns;
+    if (columns) {
+      selected = [...new Set([...columns, ...sortColumns(orderBy, primaryKey)])];
+    }
+
+    // Related tables to embed, checked against known foreign keys
+    const embeds = include
+      ? planIncludes(await this.introspector.getTables(), tables, table, include)
+      : [];
+    this.columnPolicy.assertSelectablePlans(embeds);
+
+    let query = this.db(access).from(table).select(renderSelect(selected, embeds));
+
+    for (const [referencedTable, embedLimit] of embedLimits(embeds)) {
+      query = query.limit(embedLimit, { referencedTable });
+    }
+    query = this.applyFilters(query, await this.embedScope(embeds, access));
+
+    // Apply filters, within the scope
+    query = this.applyFilters(query, await this.scopedFilters(table, filters, access));
+
+    // Resume after the cursor position
+    if (cursor) {
+      this.columnPolicy.assertPageable(table, primaryKey);
+      const position = decodeCursor(cursor, fingerprint);
+      query = this.applyFilters(query, keysetFilter(orderBy, primaryKey, ascending, position));
+    }
+
+    // Apply ordering, with the primary key as tiebreaker
+    for (const column of sortColumns(orderBy, primaryKey)) {
+      query = query.order(column, { ascending });
+    }
+
+    // Fetch one extra row to learn whether another page exists
+    query = query.limit(pageSize + 1);
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw new Error(`Table query failed: ${error.message}`);
+    }
+
+    const rows = (data || []).slice(0, pageSize);
+    const hasMore = (data?.length || 0) > pageSize;
+    if (hasMore) {
+      this.columnPolicy.assertPageable(table, primaryKey);
+    }
+    const nextCursor = hasMore
+      ? encodeCursor(fingerprint, orderBy, primaryKey, rows[rows.length - 1])
+      : null;
+
+    // Drop sort key columns the caller did not ask for
+    const kept = columns && [...columns, ...embeds.map(embed => embed.table)];
+    const result = this.columnPolicy.redactRows(table, kept
+      ? rows.map(row => Object.fromEntries(kept.map(column => [column, row[column]])))
+      : rows, embeds);
+
+    return {
+      table,
+      rowCount: result.length,
+      data: result,
+      nextCursor
+    };
+  }
+
+  // Run read-only SQL through the mcp_readonly_query Postgres function,
+  // which enforces the read-only transaction, row limit and timeout.
+  // The query is parsed first and rejected unless it is a single SELECT
+  // over exposed tables calling only allowlisted functions (see sql.js).
+  // Result columns cannot be traced back to table columns, so tables with
+  // redaction rules are off limits, and so is the whole tool for
+  // credentials with a row scope. A token's tables limit what it can read.
+  async queryDatabase({ query, limit = DEFAULT_LIMIT }, { access } = {}) {
+    if (access?.rows) {
+      throw new Error('query_database is not available to credentials with a row scope; use query_table');
+    }
+    this.assertSQLAccess(access, 'query_database');
+
+    const schemas = await this.introspector.getTables();
+    const restricted = this.tables.filter(table =>
+      this.columnPolicy.restricts(table, schemas.get(table)?.columns.map(column => column.name)));
+    return this.runReadOnlyQuery(query, limit, { tables: await this.visibleTables(access), restricted });
+  }
+
+  // SQL generated by aggregate and search, whose columns have already been
+  // checked against the column policy, skips the restricted-table check
+  async runReadOnlyQuery(query, limit, { tables = this.tables, restricted = [] } = {}) {
+    if (!this.sqlClient) {
+      throw new Error(`SQL tools need MCP_SQL_KEY, a key for the ${SQL_ROLE} role (see sql/readonly_query.sql)`);
+    }
+
+    const { valid, errors, statement } = await validateQuery(query, { tables, restricted });
+    if (!valid) {
+      throw new Error(`Query rejected: ${errors.join('; ')}`);
+    }
+
+    const { data, error } = await this.sqlClient.rpc(READONLY_QUERY_FUNCTION, {
+      query: statement,
+      row_limit: Math.min(limit, MAX_LIMIT)
+    });
+
+    if (error) {
+      throw new Error(`Database query failed: ${error.message}`);
+    }
+
+    return {
+      rowCount: data.rows.length,
+      columns: data.columns,
+      data: data.rows,
+      truncated: data.truncated
+    };
+  }
+
+  // Get schema information
+  async getSchema(tableName, { refresh = false, access } = {}) {
+    if (refresh) {
+      await this.discoverTables({ refresh });
+    }
+
+    const tables = await this.visibleTables(access);
+    if (tableName) {
+      if (!tables.includes(tableName)) {
+        throw new JsonRpcError(INVALID_PARAMS, `Table '${tableName}' not found. Available tables: ${tables.join(', ')}`);
+      }
+
+      const schema = await this.introspector.getTable(tableName);
+      if (!schema) {
+        return {
+          table: tableName,
+          available: false,
+          note: 'Table is not exposed through the Supabase REST API with the current key'
+        };
+      }
+
+      return {
+        ...schema,
+        columns: this.columnPolicy.describeColumns(tableName, schema.columns),
+        available: true,
+        cachedAt: this.introspector.cachedAt
+      };
+    }
+
+    const schemas = await this.introspector.getTables();
+    return {
+      tables: tables.map(table => ({
+        table,
+        available: schemas.has(table),
+        primaryKey: schemas.get(table)?.primaryKey || []
+      })),
+      description: 'Available tables in the database',
+      note: 'Use specific table name to get column details',
+      cachedAt: this.introspector.cachedAt
+    };
+  }
+
+  // List all tables
+  async listTables({ access } = {}) {
+    await this.discoverTables();
+    const tables = await this.visibleTables(access);
+    return {
+      tables,
+      count: tables.length,
+      description: 'All available tables for querying'
+    };
+  }
+
+  // Count records in a table
+  async countRecords(table, filters = {}, { access } = {}) {
+    if (!this.tables.includes(table)) {
+      throw new JsonRpcError(INVALID_PARAMS, `Table '${table}' not found`);
+    }
+    this.columnPolicy.assertFilterable(table, filterColumns(filters));
+
+    let query = this.db(access).from(table).select('*', { count: 'exact', head: true });
+
+    // Apply filters, within the scope
+    query = this.applyFilters(query, await this.scopedFilters(table, filters, access));
+
+    const { count, error } = await query;
+
+    if (error) {
+      throw new Error(`Count query failed: ${error.message}`);
+    }
+
+    return {
+      table,
+      count: count || 0,
+      filters: filters
+    };
+  }
+
+  // Aggregate a table, optionally grouped by columns and time buckets.
+  // The generated SQL runs through the same read-only path as query_database.
+  async aggregate({ table, metrics, groupBy, filters, orderBy, ascending = true, limit = DEFAULT_LIMIT }, { access } = {}) {
+    if (!this.tables.includes(table)) {
+      throw new JsonRpcError(INVALID_PARAMS, `Table '${table}' not found`);
+    }
+    this.assertSQLAccess(access, 'aggregate');
+
+    // Aggregates over a redacted column would reveal it
+    this.columnPolicy.assertFilterable(table, [
+      ...metrics.filter(metric => metric.column).map(metric => metric.column),
+      ...(groupBy || []).map(group => typeof group === 'string' ? group : group.column),
+      ...filterColumns(filters)
+    ]);
+
+    const pageSize = Math.min(limit, MAX_LIMIT);
+    const query = buildAggregateQuery({
+      table, metrics, groupBy, orderBy, ascending,
+      filters: await this.scopedFilters(table, filters, access),
+      limit: pageSize
+    });
+    const result = await this.runReadOnlyQuery(query, pageSize);
+
+    return {
+      table,
+      rowCount: result.rowCount,
+      data: result.data,
+      truncated: result.truncated
+    };
+  }
+
+  // Exposed tables that have search columns configured
+  getSearchTables() {
+    return this.tables.filter(table => this.searchColumns[table]?.length > 0);
+  }
+
+  // Full-text search over a table's configured text columns, ranked and
+  // paged with the same cursors as query_table
+  async search({ table, query: text, columns, filters, limit = DEFAULT_LIMIT, cursor }, { access } = {}) {
+    if (!this.getSearchTables().includes(table)) {
+      throw new JsonRpcError(INVALID_PARAMS, `Table '${table}' is not searchable. Searchable tables: ${this.getSearchTables().join(', ')}`);
+    }
+    this.assertSQLAccess(access, 'search');
+
+    this.columnPolicy.assertSelectable(table, columns);
+    this.columnPolicy.assertFilterable(table, filterColumns(filters));
+
+    // Snippets quote the searched text, so redacted columns are not searched
+    const schema = await this.introspector.getTable(table);
+    const textColumns = (schema ? searchableColumns(schema, this.searchColumns[table]) : [])
+      .filter(column => this.columnPolicy.rule(table, column).action === 'allow');
+    if (textColumns.length === 0) {
+      throw new Error(`None of the search columns configured for '${table}' (${this.searchColumns[table].join(', ')}) exist as unredacted text columns`);
+    }
+
+    const primaryKey = await this.getPrimaryKey(table);
+    const pageSize = Math.min(limit, MAX_LIMIT);
+    const fingerprint = queryFingerprint({ table, query: text, columns, filters });
+    if (cursor) {
+      this.columnPolicy.assertPageable(table, primaryKey);
+    }
+    const position = cursor ? decodeCursor(cursor, fingerprint) : null;
+
+    const sql = buildSearchQuery({
+      table, text, textColumns, columns, primaryKey, position,
+      filters: await this.scopedFilters(table, filters, access),
+      language: this.searchLanguage,
+      limit: pageSize
+    });
+    const result = await this.runReadOnlyQuery(sql, pageSize);
+
+    const hits = result.data;
+    if (result.truncated) {
+      this.columnPolicy.assertPageable(table, primaryKey);
+    }
+    const nextCursor = result.truncated
+      ? encodeCursor(fingerprint, 'rank', primaryKey, hits[hits.length - 1])
+      : null;
+
+    return {
+      table,
+      query: text,
+      rowCount: hits.length,
+      data: hits.map(({ rank, snippet, ...row }) => ({ ...this.columnPolicy.redactRow(table, row), rank, snippet })),
+      nextCursor
+    };
+  }
+
+  // Assemble one dashboard with its sections, columns and items in display
+  // order (see DASHBOARD_TREE), in a single embedded query
+  async getDashboard({ id, depth = DASHBOARD_MAX_DEPTH, maxChildren = DEFAULT_DASHBOARD_CHILDREN }, { access } = {}) {
+    const root = DASHBOARD_TREE.table;
+    const tables = await this.visibleTables(access);
+    if (!tables.includes(root)) {
+      throw new JsonRpcError(INVALID_PARAMS, `Table '${root}' is not available`);
+    }
+
+    const schemas = await this.introspector.getTables();
+    const { includes, omitted } = treeIncludes(DASHBOARD_TREE, schemas, tables, { depth, maxChildren });
+    const plans = planIncludes(schemas, tables, root, includes);
+    const idColumn = await this.getIdColumn(root);
+
+    let query = this.db(access).from(root).select(renderSelect(null, plans)).eq(idColumn, id);
+    query = this.applyFilters(query, await this.scopedFilters(root, {}, access));
+    query = this.applyFilters(query, await this.embedScope(plans, access));
+    for (const [referencedTable, column] of embedOrders(plans)) {
+      query = query.order(column, { referencedTable, ascending: true });
+    }
+    for (const [referencedTable, embedLimit] of embedLimits(plans)) {
+      query = query.limit(embedLimit, { referencedTable });
+    }
+
+    const { data, error } = await query.maybeSingle();
+
+    if (error) {
+      throw new Error(`Dashboard query failed: ${error.message}`);
+    }
+    if (!data) {
+      throw new Error(`Dashboard '${id}' not found`);
+    }
+
+    return {
+      dashboard: this.columnPolicy.redactRow(root, data, plans),
+      truncated: truncatedPaths(data, plans),
+      omitted
+    };
+  }
+
+  // Everything agents usually want about a project in one call: the row with
+  // its team, sections and groups (see PROJECT_TREE), article counts per
+  // group and the most recent notes
+  async getProjectOverview({ id, maxChildren = DEFAULT_PROJECT_CHILDREN, recentNotes = DEFAULT_RECENT_NOTES }, { access } = {}) {
+    const root = PROJECT_TREE.table;
+    const tables = await this.visibleTables(access);
+    if (!tables.includes(root)) {
+      throw new JsonRpcError(INVALID_PARAMS, `Table '${root}' is not available`);
+    }
+
+    const schemas = await this.introspector.getTables();
+    const { includes, omitted } = treeIncludes(PROJECT_TREE, schemas, tables, { depth: 1, maxChildren });
+    const plans = planIncludes(schemas, tables, root, includes);
+    const idColumn = await this.getIdColumn(root);
+
+    // Article counts come from the same query, embedded in the groups
+    const groupsPlan = plans.find(plan => plan.table === 'groups');
+    const countPlan = groupsPlan && this.groupArticleCountPlan(schemas, groupsPlan, tables);
+    const queryPlans = countPlan
+      ? plans.map(plan => plan === groupsPlan ? { ...plan, children: [...plan.children, countPlan] } : plan)
+      : plans;
+
+    let query = this.db(access).from(root).select(renderSelect(null, queryPlans)).eq(idColumn, id);
+    query = this.applyFilters(query, await this.scopedFilters(root, {}, access));
+    query = this.applyFilters(query, await this.embedScope(queryPlans, access));
+    for (const [referencedTable, column] of embedOrders(plans)) {
+      query = query.order(column, { referencedTable, ascending: true });
+    }
+    for (const [referencedTable, embedLimit] of embedLimits(plans)) {
+      query = query.limit(embedLimit, { referencedTable });
+    }
+
+    const { data, error } = await query.maybeSingle();
+
+    if (error) {
+      throw new Error(`Project query failed: ${error.message}`);
+    }
+    if (!data) {
+      throw new Error(`Project '${id}' not found`);
+    }
+
+    // Take the counts out of the group rows before redaction
+    const counts = [];
+    if (countPlan && Array.isArray(data.groups)) {
+      data.groups = data.groups.map(({ [PROJECT_GROUP_ARTICLES]: counted, ...group }) => {
+        counts.push(counted?.[0]?.count ?? 0);
+        return group;
+      });
+    }
+
+    const project = this.columnPolicy.redactRow(root, data, plans);
+    if (Array.isArray(project.groups)) {
+      if (countPlan) {
+        project.groups.forEach((group, index) => {
+          group.articleCount = counts[index];
+        });
+      } else {
+        omitted.push('groups.articleCount');
+      }
+    }
+
+    const notes = recentNotes > 0
+      ? await this.recentProjectNotes(schemas, id, recentNotes, { access, tables })
+      : [];
+    if (!notes) {
+      omitted.push('recentNotes');
+    }
+
+    return {
+      project,
+      recentNotes: notes || [],
+      truncated: truncatedPaths(data, plans),
+      omitted
+    };
+  }
+
+  // Embed plan counting each group's PROJECT_GROUP_ARTICLES rows, e.g.
+  // groups(*,group_articles!group_id(count)). null when that table is not
+  // exposed or not linked to groups.
+  groupArticleCountPlan(schemas, groupsPlan, tables) {
+    const relationships = tables.includes(PROJECT_GROUP_ARTICLES)
+      ? findRelationships(schemas, 'groups', PROJECT_GROUP_ARTICLES).filter(relationship => relationship.kind === 'one-to-many')
+      : [];
+    if (relationships.length !== 1) {
+      return null;
+    }
+
+    return {
+      table: PROJECT_GROUP_ARTICLES,
+      hint: relationships[0].hint,
+      columns: ['count'],
+      path: `${groupsPlan.path}.${PROJECT_GROUP_ARTICLES}`,
+      children: []
+    };
+  }
+
+  // Newest notes of a project, found along the first of PROJECT_NOTE_PATHS
+  // that ends in a foreign key to the project. Intermediate tables are
+  // joined with !inner embeds and filtered on that key, e.g.
+  //   notes?select=*,articles!article_id!inner(...(project_id))
+  //        &articles.group_articles.groups.project_id=eq.<id>
+  // Returns null when no path works.
+  async recentProjectNotes(schemas, projectId, limit, { access, tables }) {
+    for (const path of PROJECT_NOTE_PATHS) {
+      const [table] = path;
+      const hops = tables.includes(table) ? findPath(schemas, tables, path) : null;
+      if (!hops || hops[hops.length - 1].kind !== 'many-to-one') {
+        continue;
+      }
+
+      const joins = hops.slice(0, -1);
+      const projectColumn = hops[hops.length - 1].hint;
+      const embed = joins.reduceRight((inner, hop) => `${hop.table}!${hop.hint}!inner(${inner})`, projectColumn);
+      const filterColumn = [...joins.map(hop => hop.table), projectColumn].join('.');
+
+      const schema = schemas.get(table);
+      const orderColumns = schema.columns.some(column => column.name === 'created_at')
+        ? ['created_at']
+        : await this.getPrimaryKey(table);
+
+      let query = this.db(access)
+        .from(table)
+        .select(joins.length > 0 ? `*,${embed}` : '*')
+        .eq(filterColumn, projectId);
+
+      // Scope the notes and every joined table
+      query = this.applyFilters(query, await this.scopedFilters(table, {}, access));
+      for (const [index, hop] of joins.entries()) {
+        const joinPath = joins.slice(0, index + 1).map(join => join.table).join('.');
+        query = this.applyFilters(query, embeddedConditions(joinPath, await this.tableScope(hop.table, access)));
+      }
+
+      for (const column of orderColumns) {
+        query = query.order(column, { ascending: false });
+      }
+      const { data, error } = await query.limit(limit);
+
+      if (error) {
+        throw new Error(`Notes query failed: ${error.message}`);
+      }
+
+      // Drop the join columns
+      const notes = joins.length > 0
+        ? data.map(({ [joins[0].table]: joined, ...note }) => note)
+        : data;
+      return this.columnPolicy.redactRows(table, notes);
+    }
+    return null;
+  }
+
+  // Allowlisted profiles (see profiles.js) for a set of user ids, keyed by
+  // user id. None when the profiles table is not exposed or not readable
+  // by the caller, so members and users then have a null profile.
+  async resolveProfiles(userIds, { access } = {}) {
+    if (userIds.length === 0 || !(await this.visibleTables(access)).includes(PROFILES_TABLE)) {
+      return new Map();
+    }
+    const schema = await this.introspector.getTable(PROFILES_TABLE);
+    const conditions = await this.tableScope(PROFILES_TABLE, access);
+    if (!schema || !conditions) {
+      return new Map();
+    }
+
+    // Denied columns are not read at all, and the display name comes only
+    // from columns the column policy allows as they are
+    const action = column => this.columnPolicy.rule(PROFILES_TABLE, column).action;
+    const key = await this.getIdColumn(PROFILES_TABLE);
+    const options = {
+      columns: this.profileColumns.filter(column => action(column) !== 'deny'),
+      nameColumns: PROFILE_NAME_COLUMNS.filter(column => action(column) === 'allow')
+    };
+    const select = profileSelect(schema, { key, ...options });
+
+    const query = this.db(access)
+      .from(PROFILES_TABLE)
+      .select(select.join(','))
+      .in(key, [...new Set(userIds)]);
+    const { data, error } = await this.applyFilters(query, conditions);
+
+    if (error) {
+      throw new Error(`Profile query failed: ${error.message}`);
+    }
+
+    // Hashed or masked profile columns are redacted like in other tools
+    return new Map(data.map(row => {
+      const { displayName, ...profile } = publicProfile(row, options);
+      return [row[key], { ...this.columnPolicy.redactRow(PROFILES_TABLE, profile), displayName }];
+    }));
+  }
+
+  // Members of a team with their public profiles
+  async listTeamMembers({ team, limit = DEFAULT_LIMIT }, { access } = {}) {
+    const { table, team: teamColumn, user: userColumn } = TEAM_MEMBERSHIP;
+    if (!(await this.visibleTables(access)).includes(table)) {
+      throw new JsonRpcError(INVALID_PARAMS, `Table '${table}' is not available`);
+    }
+
+    const pageSize = Math.min(limit, MAX_LIMIT);
+    const query = this.db(access).from(table).select('*');
+    const { data, error } = await this.applyFilters(query, await this.scopedFilters(table, { [teamColumn]: team }, access))
+      .order(userColumn)
+      .limit(pageSize + 1);
+
+    if (error) {
+      throw new Error(`Team members query failed: ${error.message}`);
+    }
+
+    const members = data.slice(0, pageSize);
+    const profiles = await this.resolveProfiles(members.map(member => member[userColumn]), { access });
+
+    return {
+      team,
+      count: members.length,
+      members: members.map(member => ({
+        ...this.columnPolicy.redactRow(table, member),
+        profile: profiles.get(member[userColumn]) || null
+      })),
+      truncated: data.length > pageSize
+    };
+  }
+
+  // What a user can see and has been doing: their public profile, teams,
+  // the projects of those teams (or owned by the user) and recent articles
+  async getUserContext({ userId, recentArticles = DEFAULT_RECENT_ARTICLES }, { access } = {}) {
+    const { table, team: teamColumn, user: userColumn } = TEAM_MEMBERSHIP;
+    const tables = await this.visibleTables(access);
+    if (!tables.includes(table)) {
+      throw new JsonRpcError(INVALID_PARAMS, `Table '${table}' is not available`);
+    }
+
+    const schemas = await this.introspector.getTables();
+    const omitted = [];
+    const truncated = [];
+
+    const profiles = await this.resolveProfiles([userId], { access });
+
+    const membershipQuery = this.db(access).from(table).select('*');
+    const { data: memberships, error } = await this
+      .applyFilters(membershipQuery, await this.scopedFilters(table, { [userColumn]: userId }, access))
+      .limit(MAX_LIMIT);
+
+    if (error) {
+      throw new Error(`Team membership query failed: ${error.message}`);
+    }
+
+    const teamIds = [...new Set(memberships.map(membership => membership[teamColumn]))];
+
+    // Without the teams table, the membership rows stand in for teams
+    let teams = memberships;
+    if (!tables.includes('teams')) {
+      omitted.push('teams');
+    } else if (teamIds.length > 0) {
+      const teamKey = await this.getIdColumn('teams');
+      const teamsQuery = this.db(access).from('teams').select('*');
+      const { data, error: teamsError } = await this.applyFilters(teamsQuery, await this.scopedFilters('teams', { [teamKey]: teamIds }, access));
+      if (teamsError) {
+        throw new Error(`Teams query failed: ${teamsError.message}`);
+      }
+      teams = data;
+    }
+
+    // Projects of the user's teams, or owned by the user
+    let projects = [];
+    const projectSchema = tables.includes('projects') ? schemas.get('projects') : null;
+    const teamLinks = projectSchema
+      ? findRelationships(schemas, 'projects', 'teams').filter(relationship => relationship.kind === 'many-to-one')
+      : [];
+    const visible = [
+      ...(teamLinks.length === 1 && teamIds.length > 0 ? [{ [teamLinks[0].hint]: teamIds }] : []),
+      ...(projectSchema?.columns.some(column => column.name === USER_COLUMN) ? [{ [USER_COLUMN]: userId }] : [])
+    ];
+
+    if (visible.length === 0) {
+      omitted.push('projects');
+    } else {
+      const filters = await this.scopedFilters('projects', { or: visible }, access);
+      let query = this.applyFilters(this.db(access).from('projects').select('*'), filters);
+      for (const column of await this.getPrimaryKey('projects')) {
+        query = query.order(column);
+      }
+      const { data, error: projectsError } = await query.limit(DEFAULT_LIMIT + 1);
+      if (projectsError) {
+        throw new Error(`Projects query failed: ${projectsError.message}`);
+      }
+      projects = data.slice(0, DEFAULT_LIMIT);
+      if (data.length > DEFAULT_LIMIT) {
+        truncated.push('projects');
+      }
+    }
+
+    // Articles the user saved most recently
+    let articles = [];
+    const articleSchema = tables.includes('articles') ? schemas.get('articles') : null;
+    const articleColumns = articleSchema?.columns.map(column => column.name) || [];
+
+    if (!articleColumns.includes(USER_COLUMN)) {
+      omitted.push('recentArticles');
+    } else if (recentArticles > 0) {
+      const orderColumns = articleColumns.includes('created_at') ? ['created_at'] : await this.getPrimaryKey('articles');
+      let query = this.db(access)
+        .from('articles')
+        .select(RECENT_ARTICLE_COLUMNS.filter(column => articleColumns.includes(column)).join(','));
+      query = this.applyFilters(query, await this.scopedFilters('articles', { [USER_COLUMN]: userId }, access));
+      for (const column of orderColumns) {
+        query = query.order(column, { ascending: false });
+      }
+      const { data, error: articlesError } = await query.limit(recentArticles);
+      if (articlesError) {
+        throw new Error(`Articles query failed: ${articlesError.message}`);
+      }
+      articles = data;
+    }
+
+    return {
+      userId,
+      profile: profiles.get(userId) || null,
+      teams: this.columnPolicy.redactRows(tables.includes('teams') ? 'teams' : table, teams),
+      projects: this.columnPolicy.redactRows('projects', projects),
+      recentArticles: this.columnPolicy.redactRows('articles', articles),
+      truncated,
+      omitted
+    };
+  }
+
+  // Get MCP tools definition
+  getTools() {
+    return buildTools(this.tables, { searchTables: this.getSearchTables() });
+  }
+
+  // Check arguments against the tool's inputSchema, returning them with
+  // defaults applied
+  validateToolArguments(toolName, args) {
+    const tool = this.getTools().find(t => t.name === toolName);
+    if (!tool) {
+      throw new JsonRpcError(INVALID_PARAMS, `Unknown tool: ${toolName}`);
+    }
+
+    const { value, errors } = validateArguments(tool.inputSchema, args);
+    if (errors.length > 0) {
+      throw new JsonRpcError(
+        INVALID_PARAMS,
+        `Invalid arguments for ${toolName}: ${errors.map(e => e.message).join('; ')}`,
+        { tool: toolName, errors }
+      );
+    }
+
+    return value;
+  }
+
+  // Handle MCP tool calls. Unknown tools and bad arguments throw a
+  // JsonRpcError (-32602); anything else is a failure of the tool itself.
+  // `context` describes the caller's credential (see auth.js): its scopes
+  // decide which tools it may call, its tables and row scope what they read.
+  async handleToolCall(toolName, rawArgs = {}, context = {}) {
+    await this.discoverTables();
+    if (TOOL_SCOPES[toolName] && !toolAllowed(context, toolName)) {
+      throw new JsonRpcError(FORBIDDEN, `Token '${context.name}' needs the ${TOOL_SCOPES[toolName]} scope to call ${toolName}`);
+    }
+    const args = this.validateToolArguments(toolName, rawArgs);
+    const access = this.callerAccess(context);
+
+    switch (toolName) {
+      case 'query_database':
+        return await this.queryDatabase(args, { access });
+
+      case 'query_table':
+        return await this.queryTable(args, { access });
+
+      case 'get_schema':
+        return await this.getSchema(args.table, { refresh: args.refresh, access });
+
+      case 'list_tables':
+        return await this.listTables({ access });
+
+      case 'aggregate':
+        return await this.aggregate(args, { access });
+
+      case 'search':
+        return await this.search(args, { access });
+
+      case 'get_dashboard':
+        return await this.getDashboard(args, { access });
+
+      case 'get_project_overview':
+        return await this.getProjectOverview(args, { access });
+
+      case 'list_team_members':
+        return await this.listTeamMembers(args, { access });
+
+      case 'get_user_context':
+        return await this.getUserContext(args, { access });
+
+      case 'count_records':
+        return await this.countRecords(args.table, args.filters, { access });
+
+      default:
+        throw new JsonRpcError(INVALID_PARAMS, `Unknown tool: ${toolName}`);
+    }
+  }
+
+  // Run a tools/call request. Tool failures are reported in the result with
+  // isError so the model can see them; protocol errors propagate.
+  async callTool(params, context) {
+    if (!params || typeof params !== 'object' || typeof params.name !== 'string') {
+      throw new JsonRpcError(INVALID_PARAMS, 'tools/call requires a tool name');
+    }
+
+    const { name: toolName, arguments: args } = params;
+
+    try {
+      const result = await this.handleToolCall(toolName, args, context);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      if (error instanceof JsonRpcError) {
+        throw error;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({ error: error.message, type: 'tool_error' }, null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  // Create the lifecycle state for a new session. Transports own the
+  // session object and may add their own fields (streams, event ids).
+  createSession(id, context = {}) {
+    return {
+      id,
+      context, // credential context the session was opened with
+      initialized: false, // initialize has been answered
+      ready: false, // client sent notifications/initialized
+      protocolVersion: null,
+      clientInfo: null,
+      clientCapabilities: null
+    };
+  }
+
+  // Answer initialize, negotiating the protocol version: echo the client's
+  // version when we support it, otherwise offer our latest
+  initialize(params = {}, session) {
+    const requested = params.protocolVersion;
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+      ? requested
+      : LATEST_PROTOCOL_VERSION;
+
+    if (session) {
+      session.initialized = true;
+      session.protocolVersion = protocolVersion;
+      session.clientInfo = params.clientInfo || null;
+      session.clientCapabilities = params.capabilities || null;
+    }
+
+    return {
+      protocolVersion,
+      capabilities: {
+        tools: {
+          listChanged: false
+        }
+      },
+      serverInfo: SERVER_INFO
+    };
+  }
+
+  // Handle MCP notifications (messages without an id); they never get a response
+  handleNotification(message, session) {
+    if (message.method === 'notifications/initialized' && session?.initialized) {
+      session.ready = true;
+    }
+    return null;
+  }
+
+  // Handle a parsed JSON-RPC payload: a single message or a batch array.
+  // Returns the response (an array for batches), or null when nothing
+  // needs answering because every message was a notification. `context`
+  // is the caller's credential context (see auth.js), by default the one
+  // the session was opened with.
+  async handleMCPPayload(payload, session, context = session?.context) {
+    if (!Array.isArray(payload)) {
+      return await this.handleMCPMessage(payload, session, context);
+    }
+
+    if (payload.length === 0) {
+      return errorResponse(null, INVALID_REQUEST, 'Invalid Request: empty batch');
+    }
+
+    // Handle in order so lifecycle state carries from one message to the next
+    const responses = [];
+    for (const message of payload) {
+      const response = await this.handleMCPMessage(message, session, context);
+      if (response) {
+        responses.push(response);
+      }
+    }
+
+    return responses.length > 0 ? responses : null;
+  }
+
+  // Handle MCP protocol messages. Session-based transports pass the session
+  // from createSession() so the lifecycle is enforced; stateless HTTP
+  // handlers pass none and each message stands alone.
+  async handleMCPMessage(message, session, context = session?.context) {
+    // We never send requests, so responses from the client need no answer
+    if (isResponse(message)) {
+      return null;
+    }
+
+    if (message === null || typeof message !== 'object' || Array.isArray(message) ||
+        message.jsonrpc !== '2.0' || typeof message.method !== 'string' ||
+        (message.id !== undefined && !isValidId(message.id))) {
+      const id = isValidId(message?.id) ? message.id : null;
+      return errorResponse(id, INVALID_REQUEST, 'Invalid Request: expected a JSON-RPC 2.0 message with a method');
+    }
+
+    if (message.id === undefined) {
+      return this.handleNotification(message, session);
+    }
+
+    try {
+      // Only initialize and ping are allowed before initialization
+      if (session && !session.initialized && message.method !== 'initialize' && message.method !== 'ping') {
+        throw new JsonRpcError(NOT_INITIALIZED, 'Server not initialized: send initialize first');
+      }
+
+      return {
+        jsonrpc: '2.0',
+        id: message.id,
+        result: await this.dispatch(message, session, context)
+      };
+    } catch (error) {
+      if (error instanceof JsonRpcError) {
+        return errorResponse(message.id, error.code, error.message, error.data);
+      }
+      return errorResponse(message.id, INTERNAL_ERROR, `Internal error: ${error.message}`);
+    }
+  }
+
+  // Route a request to its method and return the result
+  async dispatch(message, session, context) {
+    switch (message.method) {
+      case 'initialize':
+        if (session?.initialized) {
+          throw new JsonRpcError(INVALID_REQUEST, 'Session is already initialized');
+        }
+        return this.initialize(message.params, session);
+
+      case 'ping':
+        return {};
+
+      case 'tools/list':
+        await this.discoverTables();
+        return {
+          tools: this.getTools().filter(tool => toolAllowed(context, tool.name))
+        };
+
+      case 'tools/call':
+        return await this.callTool(message.params, context);
+
+      default:
+        throw new JsonRpcError(METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+    }
+  }
+}
+
+let sharedCore;
+
+// Lazily create one core per process so warm serverless invocations reuse it
+export function getSharedCore() {
+  if (!sharedCore) {
+    sharedCore = new SupabaseMCPCore();
+  }
+  return sharedCore;
+}
+
+export default SupabaseMCPCore;
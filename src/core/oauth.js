@@ -0,0 +1,151 @@
+import { JwtVerifier, JwtError } from './jwt.js';
+import { TOKEN_SCOPES, SERVER_INFO, RESOURCE_METADATA_PATH } from './config.js';
+import { sendJSON } from './http.js';
+
+// OAuth 2.1 protected resource support, as the MCP authorization spec asks
+// of remote servers. The server does not issue tokens: an authorization
+// server (MCP_OAUTH_ISSUER) does, and access tokens are JWTs verified here
+// against its JWKS, its issuer and our audience. The token's scope claim
+// grants TOKEN_SCOPES by name. Clients discover the issuer from the
+// metadata at RESOURCE_METADATA_PATH (RFC 9728), which 401 responses point
+// to in their WWW-Authenticate header.
+
+// Whether tokens may be sent as ?token=. Query strings end up in logs, so
+// MCP_QUERY_TOKENS=false turns this off.
+export function queryTokensAllowed() {
+  return !['0', 'false', 'off'].includes(String(process.env.MCP_QUERY_TOKENS).toLowerCase());
+}
+
+// OAuth settings from the environment, or null when MCP_OAUTH_ISSUER is
+// unset. Throws on a configuration mistake.
+export function oauthSettings(env = process.env) {
+  if (env.MCP_RESOURCE_URL && !isURL(env.MCP_RESOURCE_URL)) {
+    throw new Error(`MCP_RESOURCE_URL is not a URL: ${env.MCP_RESOURCE_URL}`);
+  }
+  if (!env.MCP_OAUTH_ISSUER) {
+    return null;
+  }
+
+  const issuer = env.MCP_OAUTH_ISSUER;
+  const audience = env.MCP_OAUTH_AUDIENCE || env.MCP_RESOURCE_URL;
+  if (!isURL(issuer)) {
+    throw new Error(`MCP_OAUTH_ISSUER is not a URL: ${issuer}`);
+  }
+  if (!audience) {
+    throw new Error('MCP_OAUTH_ISSUER needs MCP_OAUTH_AUDIENCE or MCP_RESOURCE_URL to check token audiences');
+  }
+  return {
+    issuer,
+    audience,
+    jwksUrl: env.MCP_OAUTH_JWKS_URL || `${issuer.replace(/\/$/, '')}/.well-known/jwks.json`
+  };
+}
+
+function isURL(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+let sharedSettings;
+
+// OAuth settings for this process, read once. Servers call this at startup
+// so a configuration mistake stops them there; request paths then only see
+// settings that passed.
+export function getOAuthSettings() {
+  if (sharedSettings === undefined) {
+    sharedSettings = oauthSettings();
+  }
+  return sharedSettings;
+}
+
+let sharedVerifier;
+
+// Verifier for OAuth access tokens, or null when OAuth is off
+export function getOAuthVerifier() {
+  if (sharedVerifier === undefined) {
+    const settings = getOAuthSettings();
+    sharedVerifier = settings ? new JwtVerifier(settings) : null;
+  }
+  return sharedVerifier;
+}
+
+// Scopes granted by an access token: its space-separated scope claim (or
+// an scp list), limited to the scopes this server knows
+export function grantedScopes(claims) {
+  const claimed = typeof claims.scope === 'string'
+    ? claims.scope.split(' ')
+    : Array.isArray(claims.scp) ? claims.scp : [];
+  return TOKEN_SCOPES.filter(scope => claimed.includes(scope));
+}
+
+// Credential context for an OAuth access token, or null when it fails
+// verification or grants none of our scopes
+export async function oauthContext(verifier, token) {
+  let claims;
+  try {
+    claims = await verifier.verify(token);
+  } catch (error) {
+    if (!(error instanceof JwtError)) {
+      console.error('OAuth token verification failed:', error.message);
+    }
+    return null;
+  }
+
+  const scopes = grantedScopes(claims);
+  if (scopes.length === 0) {
+    return null;
+  }
+  return { name: `oauth:${claims.sub || claims.client_id || 'client'}`, scopes, tables: null, rows: null };
+}
+
+// Public origin of a request: MCP_RESOURCE_URL's when set, else from the
+// (proxy) headers
+function requestOrigin(req) {
+  if (process.env.MCP_RESOURCE_URL) {
+    return new URL(process.env.MCP_RESOURCE_URL).origin;
+  }
+  const protocol = req.headers['x-forwarded-proto']?.split(',')[0] || 'http';
+  return `${protocol}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+}
+
+// The resource this server protects: MCP_RESOURCE_URL, else the /mcp
+// endpoint of the request's origin
+export function resourceUrl(req) {
+  return process.env.MCP_RESOURCE_URL || `${requestOrigin(req)}/mcp`;
+}
+
+export function resourceMetadataUrl(req) {
+  return `${requestOrigin(req)}${RESOURCE_METADATA_PATH}`;
+}
+
+// Protected resource metadata (RFC 9728)
+export function protectedResourceMetadata(req, settings = getOAuthSettings()) {
+  return {
+    resource: resourceUrl(req),
+    authorization_servers: settings ? [settings.issuer] : [],
+    scopes_supported: TOKEN_SCOPES,
+    bearer_methods_supported: queryTokensAllowed() ? ['header', 'query'] : ['header'],
+    resource_name: SERVER_INFO.name
+  };
+}
+
+export function sendProtectedResourceMetadata(req, res) {
+  sendJSON(res, 200, protectedResourceMetadata(req));
+}
+
+// WWW-Authenticate challenge for a 401 (RFC 6750). It points OAuth clients
+// to the metadata, and says whether a presented token was rejected.
+export function bearerChallenge(req, { presented = false, settings = getOAuthSettings() } = {}) {
+  const params = [];
+  if (settings) {
+    params.push(`resource_metadata="${resourceMetadataUrl(req)}"`);
+  }
+  if (presented) {
+    params.push('error="invalid_token"');
+  }
+  return params.length > 0 ? `Bearer ${params.join(', ')}` : 'Bearer';
+}
@@ -0,0 +1,114 @@
+import { createHash } from 'crypto';
+import { JsonRpcError, INVALID_PARAMS } from './jsonrpc.js';
+
+// Keyset pagination for query_table and search. A cursor is opaque to clients: it
+// holds the sort key of the last row returned plus a fingerprint of the
+// query arguments, so it cannot be replayed against a different query.
+// It is not encrypted: callers only page through tables whose sort columns
+// the column policy allows (see ColumnPolicy.assertPageable).
+
+const CURSOR_VERSION = 2;
+
+// Serialize with sorted keys so equal arguments always hash the same
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Fingerprint of the arguments that define a result set (everything but
+// the page size and the cursor itself)
+export function queryFingerprint(args) {
+  const canonical = canonicalJSON(args);
+  return createHash('sha256').update(canonical).digest('base64url').slice(0, 22);
+}
+
+// Columns rows are sorted by: the order column, then the primary key
+// columns as tiebreakers
+export function sortColumns(orderBy, primaryKey) {
+  return [...new Set([...(orderBy ? [orderBy] : []), ...primaryKey])];
+}
+
+// Encode the position after `row` as an opaque cursor. primaryKey lists
+// the key columns, so composite keys keep their whole tuple.
+export function encodeCursor(fingerprint, orderBy, primaryKey, row) {
+  const payload = {
+    v: CURSOR_VERSION,
+    f: fingerprint,
+    k: [orderBy ? row[orderBy] ?? null : null, primaryKey.map(column => row[column])]
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Decode a cursor, rejecting it if it is malformed or was issued for
+// different query arguments
+export function decodeCursor(cursor, fingerprint) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new JsonRpcError(INVALID_PARAMS, 'Invalid cursor: not a cursor returned by a previous call');
+  }
+
+  if (payload?.v !== CURSOR_VERSION || !Array.isArray(payload.k) || payload.k.length !== 2 || !Array.isArray(payload.k[1])) {
+    throw new JsonRpcError(INVALID_PARAMS, 'Invalid cursor: not a cursor returned by a previous call');
+  }
+
+  if (payload.f !== fingerprint) {
+    throw new JsonRpcError(INVALID_PARAMS, 'Invalid cursor: it was issued for different table, columns, filters or ordering');
+  }
+
+  const [orderValue, keyValues] = payload.k;
+  return { orderValue, keyValues };
+}
+
+// Rows whose `columns` sort after `values` as a tuple: (a, b) after (1, 2)
+// is a > 1 OR (a = 1 AND b > 2). Key columns are never NULL.
+function tupleAfter(columns, values, after) {
+  const branches = columns.map((column, index) => ({
+    ...Object.fromEntries(columns.slice(0, index).map(previous => [previous, values[previous]])),
+    [column]: { [after]: values[column] }
+  }));
+  return branches.length === 1 ? branches[0] : { or: branches };
+}
+
+// Build a filter (in the filters.js grammar) selecting the rows after the
+// cursor position. Rows sort by the order column, then the primary key
+// columns (see sortColumns). Postgres puts NULLs last when ascending and
+// first when descending.
+export function keysetFilter(orderBy, primaryKey, ascending, { orderValue, keyValues }) {
+  if (keyValues.length !== primaryKey.length) {
+    throw new JsonRpcError(INVALID_PARAMS, 'Invalid cursor: not a cursor returned by a previous call');
+  }
+  const after = ascending ? 'gt' : 'lt';
+  const values = Object.fromEntries(primaryKey.map((column, index) => [column, keyValues[index]]));
+
+  // Ordered by a key column: the sort columns are all key columns
+  if (!orderBy || primaryKey.includes(orderBy)) {
+    return tupleAfter(sortColumns(orderBy, primaryKey), values, after);
+  }
+
+  const sameKeyAfter = tupleAfter(primaryKey, values, after);
+  if (orderValue === null) {
+    // Cursor is inside the NULL block: later NULL rows, then (descending)
+    // every non-NULL row
+    const laterNulls = { [orderBy]: null, ...sameKeyAfter };
+    return ascending
+      ? laterNulls
+      : { or: [laterNulls, { [orderBy]: { isNot: null } }] };
+  }
+
+  const branches = [
+    { [orderBy]: { [after]: orderValue } },
+    { [orderBy]: orderValue, ...sameKeyAfter }
+  ];
+  if (ascending) {
+    branches.push({ [orderBy]: null });
+  }
+  return { or: branches };
+}
@@ -0,0 +1,18 @@
+// Public view of profile rows for the team and user tools. Agents see the
+// allowlisted columns plus a resolved displayName, never the raw row.
+
+// Profile columns to read: the allowlisted ones and the name sources that
+// exist in the table, plus the key used to match user ids
+export function profileSelect(schema, { key, columns, nameColumns }) {
+  const existing = new Set(schema.columns.map(column => column.name));
+  return [...new Set([key, ...columns, ...nameColumns])].filter(column => existing.has(column));
+}
+
+// Reduce a profile row to its allowlisted columns and a display name
+export function publicProfile(row, { columns, nameColumns }) {
+  const profile = Object.fromEntries(
+    columns.filter(column => column in row).map(column => [column, row[column]])
+  );
+  const name = nameColumns.map(column => row[column]).find(value => typeof value === 'string' && value.trim());
+  return { ...profile, displayName: name || null };
+}
@@ -0,0 +1,189 @@
+import { createHmac, randomBytes } from 'node:crypto';
+import { JsonRpcError, INVALID_PARAMS } from './jsonrpc.js';
+import { MASK_VISIBLE_CHARS, DEFAULT_TRUNCATE_LENGTH } from './config.js';
+
+// Column-level redaction. A policy maps tables to column rules, with `*`
+// matching any table or column:
+//
+//   { "profiles": { "*": "deny", "id": "allow", "email": "mask" },
+//     "*": { "ssn": "deny", "bio": { "action": "truncate", "length": 80 } } }
+//
+// Rules are looked up as table.column, table.*, *.column, *.* and default
+// to allow. Actions:
+//   allow     the value as is
+//   deny      the column is dropped and cannot be selected
+//   hash      "hash:" + keyed HMAC-SHA256 prefix; equal values hash equally
+//   mask      all but the last MASK_VISIBLE_CHARS characters replaced by *
+//   truncate  the first `length` characters (default DEFAULT_TRUNCATE_LENGTH)
+// Only allowed columns can be filtered or sorted on: conditions on a
+// redacted column would reveal its values one query at a time.
+
+export const REDACTION_ACTIONS = ['allow', 'deny', 'hash', 'mask', 'truncate'];
+
+const ALLOW = { action: 'allow' };
+
+function lookup(rules, key) {
+  return rules && Object.hasOwn(rules, key) ? rules[key] : undefined;
+}
+
+function normalizeRule(rule) {
+  return typeof rule === 'string' ? { action: rule } : rule;
+}
+
+// Parse MCP_COLUMN_POLICY, throwing on unknown actions
+export function parseColumnPolicy(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid MCP_COLUMN_POLICY: ${error.message}`);
+  }
+
+  const isObject = item => item !== null && typeof item === 'object' && !Array.isArray(item);
+  if (!isObject(rules)) {
+    throw new Error('Invalid MCP_COLUMN_POLICY: expected an object of tables');
+  }
+  for (const [table, columns] of Object.entries(rules)) {
+    if (!isObject(columns)) {
+      throw new Error(`Invalid MCP_COLUMN_POLICY: rules for '${table}' must be an object of columns`);
+    }
+    for (const [column, rule] of Object.entries(columns)) {
+      const { action, length } = normalizeRule(rule) || {};
+      const validLength = length === undefined || (Number.isInteger(length) && length > 0);
+      if (!REDACTION_ACTIONS.includes(action) || !validLength) {
+        throw new Error(`Invalid MCP_COLUMN_POLICY: bad rule for '${table}.${column}'`);
+      }
+    }
+  }
+  return rules;
+}
+
+export class ColumnPolicy {
+  // hashKey keys the HMAC; without one, hashes are stable only for the
+  // life of the process
+  constructor(rules = {}, { hashKey } = {}) {
+    this.rules = rules;
+    this.hashKey = hashKey || randomBytes(32);
+  }
+
+  rule(table, column) {
+    const tableRules = lookup(this.rules, table);
+    const anyRules = lookup(this.rules, '*');
+    const rule = lookup(tableRules, column) ?? lookup(tableRules, '*') ??
+      lookup(anyRules, column) ?? lookup(anyRules, '*');
+    return rule ? normalizeRule(rule) : ALLOW;
+  }
+
+  // Whether any column of the table is redacted. Without the column names,
+  // any rule that could apply counts.
+  restricts(table, columns) {
+    if (columns) {
+      return columns.some(column => this.rule(table, column).action !== 'allow');
+    }
+    return [lookup(this.rules, table), lookup(this.rules, '*')]
+      .filter(Boolean)
+      .some(rules => Object.values(rules).some(rule => normalizeRule(rule).action !== 'allow'));
+  }
+
+  redactValue(rule, value) {
+    if (value === null || value === undefined || rule.action === 'allow') {
+      return value;
+    }
+
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    switch (rule.action) {
+      case 'hash':
+        return `hash:${createHmac('sha256', this.hashKey).update(text).digest('hex').slice(0, 16)}`;
+
+      case 'mask': {
+        // Short values are masked entirely
+        const visible = text.length > MASK_VISIBLE_CHARS * 2 ? text.slice(-MASK_VISIBLE_CHARS) : '';
+        return '*'.repeat(text.length - visible.length) + visible;
+      }
+
+      case 'truncate': {
+        const length = rule.length || DEFAULT_TRUNCATE_LENGTH;
+        return text.length > length ? `${text.slice(0, length)}…` : value;
+      }
+
+      default:
+        return value;
+    }
+  }
+
+  // Redact one row of `table`. Embedded rows (see embedding.js plans) are
+  // redacted with the rules of their own table.
+  redactRow(table, row, plans = []) {
+    const embeds = new Map(plans.map(plan => [plan.table, plan]));
+    const result = {};
+
+    for (const [key, value] of Object.entries(row)) {
+      const plan = embeds.get(key);
+      if (plan) {
+        result[key] = Array.isArray(value)
+          ? this.redactRows(plan.table, value, plan.children)
+          : value && this.redactRow(plan.table, value, plan.children);
+        continue;
+      }
+
+      const rule = this.rule(table, key);
+      if (rule.action !== 'deny') {
+        result[key] = this.redactValue(rule, value);
+      }
+    }
+    return result;
+  }
+
+  redactRows(table, rows, plans = []) {
+    return rows.map(row => this.redactRow(table, row, plans));
+  }
+
+  // Schema columns as agents see them: denied columns hidden, redacted
+  // ones marked
+  describeColumns(table, columns) {
+    return columns.flatMap(column => {
+      const { action } = this.rule(table, column.name);
+      if (action === 'deny') {
+        return [];
+      }
+      return [action === 'allow' ? column : { ...column, redaction: action }];
+    });
+  }
+
+  // Reject explicitly selected columns that are denied
+  assertSelectable(table, columns = []) {
+    const denied = columns.filter(column => this.rule(table, column).action === 'deny');
+    if (denied.length > 0) {
+      throw new JsonRpcError(INVALID_PARAMS, `Columns not available in '${table}': ${denied.join(', ')}`);
+    }
+  }
+
+  // Reject filtering, grouping or sorting on columns that are not allowed
+  assertFilterable(table, columns = []) {
+    const redacted = columns.filter(column => this.rule(table, column).action !== 'allow');
+    if (redacted.length > 0) {
+      throw new JsonRpcError(INVALID_PARAMS, `Cannot filter, group or sort on redacted columns of '${table}': ${redacted.join(', ')}`);
+    }
+  }
+
+  // Cursors carry the last row's sort key in clear, so pages can only be
+  // continued when every sort column is allowed
+  assertPageable(table, columns = []) {
+    const redacted = columns.filter(column => this.rule(table, column).action !== 'allow');
+    if (redacted.length > 0) {
+      throw new JsonRpcError(INVALID_PARAMS, `Cannot page through '${table}': a cursor would reveal its redacted key columns (${redacted.join(', ')}). Narrow the filters or raise limit to get every row in one page`);
+    }
+  }
+
+  // Check the columns of include plans, recursively
+  assertSelectablePlans(plans = []) {
+    for (const plan of plans) {
+      this.assertSelectable(plan.table, plan.columns);
+      this.assertSelectablePlans(plan.children);
+    }
+  }
+}
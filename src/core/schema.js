@@ -0,0 +1,115 @@
+import { SCHEMA_CACHE_TTL_MS } from './config.js';
+
+// Table schemas read from the OpenAPI description PostgREST publishes at
+// /rest/v1/. Each column carries its Postgres type ("format"), whether it is
+// NOT NULL ("required"), its default, and <pk/> / <fk .../> markers in the
+// description. The parsed result is cached and can be refreshed on demand.
+
+const FOREIGN_KEY_PATTERN = /<fk table='([^']+)' column='([^']+)'\/>/;
+
+// Turn one OpenAPI definition into our table schema shape
+export function parseTableDefinition(name, definition) {
+  const required = new Set(definition.required || []);
+  const columns = [];
+  const primaryKey = [];
+  const foreignKeys = [];
+
+  for (const [columnName, property] of Object.entries(definition.properties || {})) {
+    const description = property.description || '';
+
+    const column = {
+      name: columnName,
+      type: property.format || property.type,
+      nullable: !required.has(columnName),
+      default: property.default ?? null
+    };
+    if (property.enum) {
+      column.enum = property.enum;
+    }
+    if (property.maxLength !== undefined) {
+      column.maxLength = property.maxLength;
+    }
+    columns.push(column);
+
+    if (description.includes('<pk/>')) {
+      primaryKey.push(columnName);
+    }
+
+    const foreignKey = description.match(FOREIGN_KEY_PATTERN);
+    if (foreignKey) {
+      foreignKeys.push({
+        column: columnName,
+        references: { table: foreignKey[1], column: foreignKey[2] }
+      });
+    }
+  }
+
+  return { table: name, columns, primaryKey, foreignKeys };
+}
+
+export class SchemaIntrospector {
+  constructor({ url, key, fetch: fetchImpl = globalThis.fetch, ttl = SCHEMA_CACHE_TTL_MS } = {}) {
+    this.url = url;
+    this.key = key;
+    this.fetch = fetchImpl;
+    this.ttl = ttl;
+    this.cache = null;
+    this.loadedAt = 0;
+    this.pending = null;
+  }
+
+  // Fetch and parse the OpenAPI description
+  async load() {
+    const response = await this.fetch(`${this.url.replace(/\/$/, '')}/rest/v1/`, {
+      headers: {
+        apikey: this.key,
+        Authorization: `Bearer ${this.key}`,
+        Accept: 'application/openapi+json'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Schema introspection failed: HTTP ${response.status}`);
+    }
+
+    const spec = await response.json();
+    const tables = new Map();
+    for (const [name, definition] of Object.entries(spec.definitions || {})) {
+      tables.set(name, parseTableDefinition(name, definition));
+    }
+    return tables;
+  }
+
+  // All table schemas, from cache unless stale or a refresh is requested.
+  // Concurrent callers share one in-flight request.
+  async getTables({ refresh = false } = {}) {
+    const fresh = this.cache && Date.now() - this.loadedAt < this.ttl;
+    if (fresh && !refresh) {
+      return this.cache;
+    }
+
+    if (!this.pending) {
+      this.pending = this.load()
+        .then(tables => {
+          this.cache = tables;
+          this.loadedAt = Date.now();
+          return tables;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  // Schema for one table, or null if PostgREST does not expose it
+  async getTable(name, options) {
+    const tables = await this.getTables(options);
+    return tables.get(name) || null;
+  }
+
+  // When the cached schema was loaded, as an ISO string
+  get cachedAt() {
+    return this.loadedAt ? new Date(this.loadedAt).toISOString() : null;
+  }
+}
@@ -0,0 +1,76 @@
+// Row scoping for tenant isolation. A credential may carry a scope that
+// maps tables to conditions in the filter grammar (see filters.js), with
+// `*` for conditions on any table that has the column:
+//
+//   { "*": { "user_id": "u1" }, "teams": { "id": ["t1", "t2"] }, "tags": {} }
+//
+// A scoped credential only sees tables that at least one condition applies
+// to; `{}` grants a table without conditions. Conditions are ANDed with the
+// caller's filters, so filters can narrow a scope but never widen it.
+// Conditions are plain column conditions: no "and"/"or" groups, so they can
+// also be applied to embedded tables.
+
+const LOGICAL_KEYS = ['and', 'or'];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Parse a scope from JSON, throwing on anything but table -> conditions
+export function parseScope(value, source = 'scope') {
+  if (!value) {
+    return undefined;
+  }
+
+  let scope;
+  try {
+    scope = typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    throw new Error(`Invalid ${source}: ${error.message}`);
+  }
+
+  if (!isObject(scope)) {
+    throw new Error(`Invalid ${source}: expected an object of tables`);
+  }
+  for (const [table, conditions] of Object.entries(scope)) {
+    if (!isObject(conditions)) {
+      throw new Error(`Invalid ${source}: conditions for '${table}' must be an object of columns`);
+    }
+    const logical = Object.keys(conditions).find(key => LOGICAL_KEYS.includes(key));
+    if (logical) {
+      throw new Error(`Invalid ${source}: '${logical}' groups are not allowed in '${table}'`);
+    }
+  }
+  return scope;
+}
+
+// The conditions `scope` puts on `table`, given its column names, or null
+// when the table is out of scope
+export function scopeConditions(scope, table, columns) {
+  const own = Object.hasOwn(scope, table) ? scope[table] : undefined;
+  const shared = Object.entries(scope['*'] || {}).filter(([column]) => columns.includes(column));
+
+  if (!own && shared.length === 0) {
+    return null;
+  }
+  return { ...Object.fromEntries(shared), ...own };
+}
+
+// AND scope conditions onto caller filters
+export function combineFilters(filters, conditions) {
+  if (Object.keys(conditions).length === 0) {
+    return filters;
+  }
+  if (!filters || Object.keys(filters).length === 0) {
+    return conditions;
+  }
+  return { and: [filters, conditions] };
+}
+
+// Conditions for an embedded table, with columns prefixed by the embed
+// path so PostgREST filters the embedded rows (e.g. columns.user_id)
+export function embeddedConditions(path, conditions) {
+  return Object.fromEntries(
+    Object.entries(conditions).map(([column, condition]) => [`${path}.${column}`, condition])
+  );
+}
@@ -0,0 +1,59 @@
+import { filtersToSQL, quoteIdentifier, quoteLiteral } from './filters.js';
+import { keysetFilter } from './pagination.js';
+
+// Build the SQL for the search tool: Postgres full-text search over a
+// table's configured text columns, ranked with ts_rank and highlighted with
+// ts_headline. Hits are ordered by rank, then primary key, all descending,
+// so pages continue with the same keyset cursors query_table uses.
+
+const TEXT_TYPES = ['text', 'character varying', 'character', 'citext'];
+
+// Markdown-style emphasis around matched words in snippets
+const HEADLINE_OPTIONS = 'StartSel=**, StopSel=**, MaxWords=35, MinWords=15, MaxFragments=2';
+
+// Parse MCP_SEARCH_COLUMNS, e.g. "articles:title,description;notes:body"
+export function parseSearchColumns(value) {
+  if (!value) {
+    return undefined;
+  }
+  return Object.fromEntries(
+    value.split(';').filter(Boolean).map(entry => {
+      const [table, columns = ''] = entry.split(':');
+      return [table.trim(), columns.split(',').map(column => column.trim()).filter(Boolean)];
+    })
+  );
+}
+
+// Columns of `schema` that can be searched: configured, present and textual
+export function searchableColumns(schema, configured = []) {
+  const types = new Map(schema.columns.map(column => [column.name, column.type]));
+  return configured.filter(column => TEXT_TYPES.includes(types.get(column)));
+}
+
+// The document searched: the text columns joined with spaces. An
+// expression index on exactly this makes searches fast.
+export function documentExpression(columns) {
+  return columns.map(column => `coalesce(${quoteIdentifier(column)}, '')`).join(` || ' ' || `);
+}
+
+// Search SQL for one page of hits, starting after `position` (a decoded
+// cursor) when given
+export function buildSearchQuery({ table, text, textColumns, columns, primaryKey, language, filters, position, limit }) {
+  const config = quoteLiteral(language);
+  const document = documentExpression(textColumns);
+  const selected = [...new Set([...primaryKey, ...(columns || textColumns)])];
+
+  const inner = [
+    `SELECT ${selected.map(quoteIdentifier).join(', ')},`,
+    // float8 so the rank survives a round trip through JSON in a cursor
+    `ts_rank(to_tsvector(${config}, ${document}), search_query)::float8 AS "rank",`,
+    `ts_headline(${config}, ${document}, search_query, ${quoteLiteral(HEADLINE_OPTIONS)}) AS "snippet"`,
+    `FROM ${quoteIdentifier(table)}, websearch_to_tsquery(${config}, ${quoteLiteral(text)}) AS search_query`,
+    `WHERE to_tsvector(${config}, ${document}) @@ search_query AND ${filtersToSQL(filters)}`
+  ].join(' ');
+
+  const after = position ? filtersToSQL(keysetFilter('rank', primaryKey, false, position)) : 'TRUE';
+  const order = ['rank', ...primaryKey].map(column => `${quoteIdentifier(column)} DESC`).join(', ');
+
+  return `SELECT * FROM (${inner}) AS hits WHERE ${after} ORDER BY ${order} LIMIT ${limit + 1}`;
+}
@@ -0,0 +1,187 @@
+import { parse } from 'libpg-query';
+
+// Validate raw SQL for query_database using the real Postgres parser
+// (libpg-query). A query is accepted only if it is a single SELECT (or
+// WITH ... SELECT, VALUES, TABLE) statement that:
+//   - contains no data-modifying statements, SELECT INTO or FOR UPDATE/SHARE,
+//   - calls only functions from ALLOWED_FUNCTIONS,
+//   - reads only exposed tables without redacted columns (or CTEs in scope).
+// The database function still runs the query in a read-only transaction;
+// this check keeps agents inside the exposed tables and away from
+// side-effecting or slow functions such as pg_sleep and set_config.
+
+// Functions without side effects that agents may call. Names qualified
+// with a schema must use pg_catalog.
+export const ALLOWED_FUNCTIONS = new Set([
+  // Aggregates
+  'count', 'sum', 'avg', 'min', 'max', 'array_agg', 'string_agg', 'json_agg',
+  'jsonb_agg', 'json_object_agg', 'jsonb_object_agg', 'bool_and', 'bool_or',
+  'every', 'stddev', 'stddev_pop', 'stddev_samp', 'variance', 'var_pop',
+  'var_samp', 'percentile_cont', 'percentile_disc', 'mode',
+  // Window functions
+  'row_number', 'rank', 'dense_rank', 'percent_rank', 'cume_dist', 'ntile',
+  'lag', 'lead', 'first_value', 'last_value', 'nth_value',
+  // Strings
+  'lower', 'upper', 'initcap', 'length', 'char_length', 'character_length',
+  'octet_length', 'substring', 'substr', 'btrim', 'ltrim', 'rtrim', 'trim',
+  'lpad', 'rpad', 'left', 'right', 'concat', 'concat_ws', 'replace',
+  'translate', 'split_part', 'position', 'strpos', 'starts_with', 'repeat',
+  'reverse', 'format', 'md5', 'ascii', 'chr', 'regexp_replace', 'regexp_match',
+  'regexp_matches', 'regexp_split_to_array', 'regexp_split_to_table',
+  'regexp_count', 'regexp_like', 'string_to_array', 'array_to_string',
+  // Numbers
+  'abs', 'ceil', 'ceiling', 'floor', 'round', 'trunc', 'mod', 'power', 'sqrt',
+  'sign', 'div', 'width_bucket',
+  // Dates and times
+  'now', 'date_trunc', 'date_part', 'extract', 'date_bin', 'age', 'to_char',
+  'to_date', 'to_timestamp', 'to_number', 'make_date', 'make_time',
+  'make_timestamp', 'make_timestamptz', 'make_interval', 'justify_days',
+  'justify_hours', 'justify_interval', 'isfinite', 'timezone',
+  // JSON
+  'to_json', 'to_jsonb', 'row_to_json', 'json_build_object',
+  'jsonb_build_object', 'json_build_array', 'jsonb_build_array',
+  'json_extract_path', 'jsonb_extract_path', 'json_extract_path_text',
+  'jsonb_extract_path_text', 'json_array_elements', 'jsonb_array_elements',
+  'json_array_elements_text', 'jsonb_array_elements_text', 'json_array_length',
+  'jsonb_array_length', 'json_each', 'jsonb_each', 'json_each_text',
+  'jsonb_each_text', 'json_object_keys', 'jsonb_object_keys', 'json_typeof',
+  'jsonb_typeof', 'jsonb_strip_nulls', 'jsonb_pretty', 'jsonb_path_query',
+  'jsonb_path_query_array', 'jsonb_path_query_first', 'jsonb_path_exists',
+  'jsonb_path_match',
+  // Arrays
+  'array_length', 'array_lower', 'array_upper', 'cardinality', 'unnest',
+  'array_position', 'array_positions', 'array_append', 'array_prepend',
+  'array_cat', 'array_remove', 'array_replace',
+  // Full text search
+  'to_tsvector', 'to_tsquery', 'plainto_tsquery', 'phraseto_tsquery',
+  'websearch_to_tsquery', 'ts_rank', 'ts_rank_cd', 'ts_headline',
+  // Sets
+  'generate_series'
+]);
+
+// Statements that change data, wherever they appear (e.g. in a CTE)
+const WRITE_STATEMENTS = ['InsertStmt', 'UpdateStmt', 'DeleteStmt', 'MergeStmt'];
+
+// "InsertStmt" -> "INSERT", for error messages
+function statementName(nodeType) {
+  return nodeType.replace(/Stmt$/, '').toUpperCase();
+}
+
+// Walk the parse tree, collecting problems. `ctes` holds the CTE names
+// visible at this point of the query.
+function visit(node, context, ctes) {
+  if (Array.isArray(node)) {
+    node.forEach(child => visit(child, context, ctes));
+    return;
+  }
+  if (node === null || typeof node !== 'object') {
+    return;
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (WRITE_STATEMENTS.includes(key)) {
+      context.problems.push(`${statementName(key)} is not allowed`);
+    } else if (key === 'intoClause') {
+      context.problems.push('SELECT INTO is not allowed');
+    } else if (key === 'lockingClause') {
+      context.problems.push('Row locking (FOR UPDATE/SHARE) is not allowed');
+    } else if (key === 'SelectStmt') {
+      visitSelect(value, context, ctes);
+      continue;
+    } else if (key === 'RangeVar') {
+      checkTable(value, context, ctes);
+    } else if (key === 'FuncCall') {
+      checkFunction(value, context);
+    }
+
+    visit(value, context, ctes);
+  }
+}
+
+// A WITH clause scopes its CTE names to the statement it belongs to. A
+// CTE body sees the CTEs before it, or all of them when RECURSIVE.
+function visitSelect(select, context, ctes) {
+  const { withClause, ...rest } = select;
+  let scope = ctes;
+
+  if (withClause) {
+    const definitions = withClause.ctes.map(cte => cte.CommonTableExpr);
+    const names = definitions.map(cte => cte.ctename);
+
+    definitions.forEach((cte, index) => {
+      const visible = withClause.recursive ? names : names.slice(0, index);
+      visit(cte.ctequery, context, new Set([...ctes, ...visible]));
+    });
+    scope = new Set([...ctes, ...names]);
+  }
+
+  visit(rest, context, scope);
+}
+
+// Tables must be exposed (or a CTE in scope) and live in the public schema
+function checkTable({ schemaname, relname }, context, ctes) {
+  if (!schemaname && ctes.has(relname)) {
+    return;
+  }
+  if (schemaname && schemaname !== 'public') {
+    context.problems.push(`Schema '${schemaname}' is not accessible`);
+    return;
+  }
+  if (!context.tables.includes(relname)) {
+    context.problems.push(`Table '${relname}' is not available`);
+  } else if (context.restricted.includes(relname)) {
+    context.problems.push(`Table '${relname}' has redacted columns; use query_table`);
+  }
+}
+
+// Functions must be on the allowlist
+function checkFunction({ funcname }, context) {
+  const parts = funcname.map(part => part.String.sval);
+  // The parser has already folded unquoted names to lower case
+  const name = parts[parts.length - 1];
+  const schema = parts.length > 1 ? parts[0] : null;
+
+  if ((schema && schema !== 'pg_catalog') || !ALLOWED_FUNCTIONS.has(name)) {
+    context.problems.push(`Function '${parts.join('.')}' is not allowed`);
+  }
+}
+
+// The text of one parsed statement. Parser offsets are in UTF-8 bytes;
+// a length of 0 means "to the end of the input".
+function statementText(query, { stmt_location: location = 0, stmt_len: length = 0 }) {
+  const bytes = Buffer.from(query, 'utf8');
+  return bytes.subarray(location, length ? location + length : bytes.length).toString('utf8').trim();
+}
+
+// Validate a query against the exposed tables, of which `restricted` ones
+// (with column redaction rules) cannot be read. Returns { valid, errors }
+// and, when valid, the statement text without a trailing semicolon.
+export async function validateQuery(query, { tables, restricted = [] }) {
+  let tree;
+  try {
+    tree = await parse(query);
+  } catch (error) {
+    return { valid: false, errors: [`Syntax error: ${error.message}`] };
+  }
+
+  const statements = tree.stmts || [];
+  if (statements.length === 0) {
+    return { valid: false, errors: ['Query is empty'] };
+  }
+  if (statements.length > 1) {
+    return { valid: false, errors: ['Only a single statement is allowed'] };
+  }
+
+  const [nodeType] = Object.keys(statements[0].stmt);
+  if (nodeType !== 'SelectStmt') {
+    return { valid: false, errors: [`Only SELECT queries are allowed, got ${statementName(nodeType)}`] };
+  }
+
+  const context = { tables, restricted, problems: [] };
+  visit(statements[0].stmt, context, new Set());
+
+  if (context.problems.length > 0) {
+    return { valid: false, errors: [...new Set(context.problems)] };
+  }
+  return { valid: true, errors: [], statement: statementText(query, statements[0]) };
+}
@@ -0,0 +1,59 @@
+import { createInterface } from 'readline';
+import { parseErrorResponse } from './jsonrpc.js';
+
+// stdio transport: newline-delimited JSON-RPC on stdin/stdout for desktop
+// clients that launch the server as a subprocess. Nothing but JSON-RPC may
+// be written to stdout, so callers must send their logs to stderr.
+export class StdioTransport {
+  constructor(core, { input = process.stdin, output = process.stdout, context = {} } = {}) {
+    this.core = core;
+    this.input = input;
+    this.output = output;
+    this.session = core.createSession('stdio', context);
+  }
+
+  // Write one JSON-RPC message as a single line
+  send(message) {
+    this.output.write(JSON.stringify(message) + '\n');
+  }
+
+  // Handle one line of input
+  async handleLine(line) {
+    if (!line.trim()) {
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(line);
+    } catch (error) {
+      this.send(parseErrorResponse(error));
+      return;
+    }
+
+    const response = await this.core.handleMCPPayload(payload, this.session);
+
+    // Notifications get no response
+    if (response) {
+      this.send(response);
+    }
+  }
+
+  // Read messages until stdin closes, handling them in arrival order
+  start() {
+    const rl = createInterface({ input: this.input, crlfDelay: Infinity });
+    let pending = Promise.resolve();
+
+    rl.on('line', line => {
+      pending = pending
+        .then(() => this.handleLine(line))
+        .catch(error => {
+          console.error('stdio transport error:', error);
+        });
+    });
+
+    return new Promise(resolve => {
+      rl.on('close', () => pending.then(resolve));
+    });
+  }
+}
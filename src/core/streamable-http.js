@@ -0,0 +1,208 @@
+import { randomUUID } from 'crypto';
+import { readJSONBody, sendJSON } from './http.js';
+import { errorResponse, parseErrorResponse, INVALID_REQUEST } from './jsonrpc.js';
+import { SESSION_IDLE_TTL_MS, MAX_SESSIONS } from './config.js';
+
+export const SESSION_HEADER = 'mcp-session-id';
+
+const KEEP_ALIVE_INTERVAL = 30000;
+
+// Does the client's Accept header allow the given media type?
+function accepts(req, type) {
+  const accept = req.headers.accept || '';
+  return accept.includes(type) || accept.includes('*/*');
+}
+
+// Streamable HTTP transport (MCP 2025-03-26): a single endpoint that takes
+// POSTed JSON-RPC, GET for a server-to-client stream and DELETE to end a
+// session. Works with plain Node requests and Vercel's request helpers.
+// A session belongs to the credential that opened it and ends after
+// SESSION_IDLE_TTL_MS without requests while no event stream is open.
+export class StreamableHTTPTransport {
+  constructor(core, { idleTTL = SESSION_IDLE_TTL_MS, maxSessions = MAX_SESSIONS } = {}) {
+    this.core = core;
+    this.sessions = new Map(); // Track sessions by Mcp-Session-Id
+    this.idleTTL = idleTTL;
+    this.maxSessions = maxSessions;
+  }
+
+  // Route a request to the handler for its method. `context` is the
+  // credential context of the already authenticated request.
+  async handleRequest(req, res, context = {}) {
+    switch (req.method) {
+      case 'POST':
+        return await this.handlePost(req, res, context);
+
+      case 'GET':
+        return this.handleGet(req, res, context);
+
+      case 'DELETE':
+        return this.handleDelete(req, res, context);
+
+      default:
+        res.writeHead(405, { 'Allow': 'GET, POST, DELETE', 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Method not allowed' }));
+    }
+  }
+
+  isExpired(session, now = Date.now()) {
+    return !session.stream && now - session.lastSeen > this.idleTTL;
+  }
+
+  // Drop idle sessions
+  sweepSessions(now = Date.now()) {
+    for (const [id, session] of this.sessions) {
+      if (this.isExpired(session, now)) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+
+  // Look up the session named by the request header, answering 400/404 if
+  // it is missing, unknown, expired or opened with another credential
+  requireSession(req, res, context) {
+    const sessionId = req.headers[SESSION_HEADER];
+
+    if (!sessionId) {
+      sendJSON(res, 400, { error: 'Bad Request', message: 'Mcp-Session-Id header is required' });
+      return null;
+    }
+
+    const session = this.sessions.get(sessionId);
+    if (session && this.isExpired(session)) {
+      this.sessions.delete(sessionId);
+    }
+
+    // Another credential's session is reported like an unknown one
+    if (!this.sessions.has(sessionId) || session.context.name !== context.name) {
+      sendJSON(res, 404, { error: 'Session not found', message: 'Session expired or terminated; send a new initialize request' });
+      return null;
+    }
+
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  // Handle a POSTed JSON-RPC message
+  async handlePost(req, res, context) {
+    if (!accepts(req, 'application/json') && !accepts(req, 'text/event-stream')) {
+      sendJSON(res, 406, { error: 'Not Acceptable', message: 'Accept must include application/json or text/event-stream' });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJSONBody(req);
+    } catch (error) {
+      sendJSON(res, 400, parseErrorResponse(error));
+      return;
+    }
+
+    const messages = Array.isArray(payload) ? payload : [payload];
+    const isInitialize = messages.some(message => message?.method === 'initialize');
+
+    let session;
+    if (isInitialize) {
+      // initialize starts a session and must be sent on its own
+      if (Array.isArray(payload)) {
+        sendJSON(res, 400, errorResponse(null, INVALID_REQUEST, 'Invalid Request: initialize must not be part of a batch'));
+        return;
+      }
+      this.sweepSessions();
+      if (this.sessions.size >= this.maxSessions) {
+        sendJSON(res, 503, { error: 'Service Unavailable', message: 'Too many open sessions; try again later' });
+        return;
+      }
+      session = { ...this.core.createSession(randomUUID(), context), stream: null, lastSeen: Date.now() };
+    } else {
+      session = this.requireSession(req, res, context);
+      if (!session) {
+        return;
+      }
+    }
+
+    const response = await this.core.handleMCPPayload(payload, session, context);
+
+    // Only notifications and responses: accepted, nothing to send back
+    if (!response) {
+      res.writeHead(202);
+      res.end();
+      return;
+    }
+
+    const headers = {};
+    if (isInitialize && !response.error) {
+      this.sessions.set(session.id, session);
+      headers['Mcp-Session-Id'] = session.id;
+    }
+
+    if (accepts(req, 'application/json')) {
+      sendJSON(res, 200, response, headers);
+      return;
+    }
+
+    // Client only takes an event stream: send the response and close it
+    res.writeHead(200, {
+      ...headers,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+    res.end();
+  }
+
+  // Open a server-to-client event stream for a session
+  handleGet(req, res, context) {
+    if (!accepts(req, 'text/event-stream')) {
+      sendJSON(res, 406, { error: 'Not Acceptable', message: 'Accept must include text/event-stream' });
+      return;
+    }
+
+    const session = this.requireSession(req, res, context);
+    if (!session) {
+      return;
+    }
+
+    if (session.stream) {
+      sendJSON(res, 409, { error: 'Conflict', message: 'Session already has an open event stream' });
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write(': stream open\n\n');
+    session.stream = res;
+
+    // Keep connection alive through proxies
+    const keepAlive = setInterval(() => {
+      res.write(': keep-alive\n\n');
+    }, KEEP_ALIVE_INTERVAL);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      if (session.stream === res) {
+        session.stream = null;
+        session.lastSeen = Date.now();
+      }
+    });
+  }
+
+  // Terminate a session at the client's request
+  handleDelete(req, res, context) {
+    const session = this.requireSession(req, res, context);
+    if (!session) {
+      return;
+    }
+
+    this.sessions.delete(session.id);
+    if (session.stream) {
+      session.stream.end();
+    }
+
+    sendJSON(res, 200, { terminated: session.id });
+  }
+}
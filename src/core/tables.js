@@ -0,0 +1,28 @@
+// Table exposure policy. Discovered table names are matched against allow
+// and deny patterns, where `*` matches any run of characters. A table is
+// exposed when it matches an allow pattern and no deny pattern.
+
+// Split a comma-separated pattern list, e.g. from an environment variable
+export function parsePatterns(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  return String(value).split(',').map(pattern => pattern.trim()).filter(Boolean);
+}
+
+// Compile a glob-style pattern into an anchored regular expression
+function compilePattern(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+// Keep the names allowed by the policy, sorted
+export function filterTables(names, { allow, deny }) {
+  const allowed = allow.map(compilePattern);
+  const denied = deny.map(compilePattern);
+
+  return names
+    .filter(name => allowed.some(pattern => pattern.test(name)))
+    .filter(name => !denied.some(pattern => pattern.test(name)))
+    .sort();
+}
@@ -0,0 +1,117 @@
+import { createHash, randomBytes } from 'crypto';
+import { existsSync, readFileSync, writeFileSync, renameSync, statSync } from 'fs';
+import { DEFAULT_TOKEN_FILE, TOKEN_PREFIX, TOKEN_BYTES, TOKEN_SALT_BYTES } from './config.js';
+
+// Local token file managed by the `token` command (see token-cli.js). Only
+// a salted hash of each token is stored, never the token itself:
+//
+//   { "tokens": [{ "name": "ci", "salt": "…", "hash": "…", "scopes": ["tools:query"],
+//                  "tables": null, "rows": null, "expiresAt": null,
+//                  "createdAt": "2026-10-18T09:00:00.000Z" }] }
+//
+// Tokens carry TOKEN_BYTES of randomness, far beyond guessing, so a fast
+// salted SHA-256 is enough; a slow password hash would only slow down every
+// request. This module uses node built-ins only, so setup.js can use it
+// before dependencies are installed.
+
+// A new random token
+export function generateToken() {
+  return TOKEN_PREFIX + randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+export function generateSalt() {
+  return randomBytes(TOKEN_SALT_BYTES);
+}
+
+// SHA-256 of salt and token
+export function hashToken(token, salt) {
+  return createHash('sha256').update(salt).update(token).digest();
+}
+
+export class TokenStore {
+  constructor(path = process.env.MCP_TOKEN_FILE || DEFAULT_TOKEN_FILE) {
+    this.path = path;
+  }
+
+  // Stored token records; none when the file does not exist yet
+  load() {
+    if (!existsSync(this.path)) {
+      return [];
+    }
+
+    let file;
+    try {
+      file = JSON.parse(readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid token file ${this.path}: ${error.message}`);
+    }
+    if (!Array.isArray(file?.tokens)) {
+      throw new Error(`Invalid token file ${this.path}: expected { "tokens": [...] }`);
+    }
+    return file.tokens;
+  }
+
+  // Changes whenever the file is saved (each save renames a new file into
+  // place); null when it does not exist
+  version() {
+    try {
+      const { ino, size, mtimeMs } = statSync(this.path);
+      return `${ino}:${size}:${mtimeMs}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Replace the stored records. The file is written next to the old one
+  // and renamed over it, readable by the owner only.
+  save(tokens) {
+    const temporary = `${this.path}.${process.pid}.tmp`;
+    writeFileSync(temporary, `${JSON.stringify({ tokens }, null, 2)}\n`, { mode: 0o600 });
+    renameSync(temporary, this.path);
+  }
+
+  // Store a new token for `settings` (name, scopes, tables, rows,
+  // expiresAt) and return the token, which is not kept anywhere
+  create(settings) {
+    const tokens = this.load();
+    if (tokens.some(record => record.name === settings.name)) {
+      throw new Error(`A token named '${settings.name}' already exists; rotate or revoke it`);
+    }
+
+    const token = generateToken();
+    tokens.push({ ...settings, ...this.secret(token), createdAt: new Date().toISOString() });
+    this.save(tokens);
+    return token;
+  }
+
+  // Replace a token's secret, keeping its settings. `changes` may update
+  // them (e.g. a new expiresAt).
+  rotate(name, changes = {}) {
+    const tokens = this.load();
+    const index = this.indexOf(tokens, name);
+    const token = generateToken();
+    tokens[index] = { ...tokens[index], ...changes, ...this.secret(token), rotatedAt: new Date().toISOString() };
+    this.save(tokens);
+    return token;
+  }
+
+  revoke(name) {
+    const tokens = this.load();
+    tokens.splice(this.indexOf(tokens, name), 1);
+    this.save(tokens);
+  }
+
+  indexOf(tokens, name) {
+    const index = tokens.findIndex(record => record.name === name);
+    if (index === -1) {
+      throw new Error(`No token named '${name}'`);
+    }
+    return index;
+  }
+
+  // The stored form of a token
+  secret(token) {
+    const salt = generateSalt();
+    return { salt: salt.toString('base64'), hash: hashToken(token, salt).toString('base64') };
+  }
+}
@@ -0,0 +1,451 @@
+import {
+  DEFAULT_LIMIT, MAX_LIMIT, DASHBOARD_MAX_DEPTH, DEFAULT_DASHBOARD_CHILDREN,
+  DEFAULT_PROJECT_CHILDREN, DEFAULT_RECENT_NOTES, DEFAULT_RECENT_ARTICLES
+} from './config.js';
+import { AGGREGATE_FUNCTIONS, TIME_BUCKETS } from './aggregate.js';
+
+// Column names are plain Postgres identifiers
+const COLUMN_PATTERN = '^[A-Za-z_][A-Za-z0-9_]*$';
+
+const FILTER_SCALAR = { type: ['string', 'number', 'boolean', 'null'] };
+const FILTER_LIST = { type: 'array', items: FILTER_SCALAR, minItems: 1 };
+const FILTER_CHECK = { enum: [null, true, false] };
+
+export const FILTERS_DESCRIPTION =
+  'Filters, combined with AND. Map a column to a value (equality; null means IS NULL), ' +
+  'an array (IN), or an operator object such as {"gt": "2024-01-01"}, {"ilike": "%term%"}, ' +
+  '{"is": null}, {"isNot": null} or {"contains": ["tag"]}. Operators: eq, neq, gt, gte, lt, lte, ' +
+  'like, ilike, in, is, isNot, contains, containedBy, overlaps (contains/containedBy/overlaps ' +
+  'take an array for array columns or an object for JSON columns). Nest groups with "and"/"or" ' +
+  'arrays of filter objects, e.g. {"or": [{"status": "read"}, {"created_at": {"gte": "2024-01-01"}}]}';
+
+// Recursive filter grammar, referenced from tool inputSchemas as
+// #/$defs/filters (see filters.js)
+const FILTER_DEFS = {
+  filters: {
+    type: 'object',
+    minProperties: 1,
+    properties: {
+      and: { type: 'array', items: { $ref: '#/$defs/filters' }, minItems: 1 },
+      or: { type: 'array', items: { $ref: '#/$defs/filters' }, minItems: 1 }
+    },
+    propertyNames: { pattern: COLUMN_PATTERN },
+    additionalProperties: {
+      anyOf: [FILTER_SCALAR, FILTER_LIST, { $ref: '#/$defs/filterOperators' }]
+    }
+  },
+  filterOperators: {
+    type: 'object',
+    minProperties: 1,
+    additionalProperties: false,
+    properties: {
+      eq: FILTER_SCALAR,
+      neq: FILTER_SCALAR,
+      gt: { type: ['string', 'number'] },
+      gte: { type: ['string', 'number'] },
+      lt: { type: ['string', 'number'] },
+      lte: { type: ['string', 'number'] },
+      like: { type: 'string' },
+      ilike: { type: 'string' },
+      in: FILTER_LIST,
+      is: FILTER_CHECK,
+      isNot: FILTER_CHECK,
+      contains: { type: ['array', 'object'] },
+      containedBy: { type: ['array', 'object'] },
+      overlaps: { type: 'array' }
+    }
+  }
+};
+
+// Recursive include spec for query_table (see embedding.js), referenced
+// as #/$defs/include
+function includeDefinition(tables) {
+  return {
+    type: 'object',
+    properties: {
+      table: {
+        type: 'string',
+        description: 'Related table to embed',
+        enum: tables
+      },
+      columns: {
+        type: 'array',
+        items: { type: 'string', pattern: COLUMN_PATTERN },
+        minItems: 1,
+        description: 'Columns of the related table to return (default: all columns)'
+      },
+      limit: {
+        type: 'integer',
+        description: 'Maximum related rows per parent row',
+        minimum: 1,
+        maximum: MAX_LIMIT
+      },
+      via: {
+        type: 'string',
+        pattern: COLUMN_PATTERN,
+        description: 'Foreign key column or junction table to use when the tables are related in more than one way'
+      },
+      include: {
+        type: 'array',
+        items: { $ref: '#/$defs/include' },
+        minItems: 1,
+        description: 'Tables related to this one, embedded the same way'
+      }
+    },
+    required: ['table'],
+    additionalProperties: false
+  };
+}
+
+// Property schema for a filters argument; its tool's inputSchema must
+// carry FILTER_DEFS under $defs
+function filtersProperty(description) {
+  return { $ref: '#/$defs/filters', description };
+}
+
+// Build the MCP tool definitions for the given table list.
+// searchTables lists the tables the search tool may target.
+export function buildTools(tables, { searchTables = [] } = {}) {
+  const tools = [
+    {
+      name: 'query_database',
+      description: 'Run a read-only SQL query (a single SELECT or WITH statement). Returns the rows plus each column\'s name and Postgres type',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            minLength: 1,
+            description: 'SQL query to execute (SELECT or WITH only)'
+          },
+          limit: {
+            type: 'integer',
+            description: `Maximum number of rows to return (default: ${DEFAULT_LIMIT}, max: ${MAX_LIMIT})`,
+            minimum: 1,
+            maximum: MAX_LIMIT,
+            default: DEFAULT_LIMIT
+          }
+        },
+        required: ['query'],
+        additionalProperties: false
+      }
+    },
+    {
+      name: 'query_table',
+      description: 'Query a specific database table with optional filters, ordering, and column selection. Results are paged: when more rows exist the result includes nextCursor',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          table: {
+            type: 'string',
+            description: 'Name of the table to query',
+            enum: tables
+          },
+          columns: {
+            type: 'array',
+            items: { type: 'string', pattern: COLUMN_PATTERN },
+            minItems: 1,
+            description: 'Specific columns to select (optional, default: all columns)'
+          },
+          filters: filtersProperty(FILTERS_DESCRIPTION),
+          limit: {
+            type: 'integer',
+            description: `Maximum number of rows to return (default: ${DEFAULT_LIMIT}, max: ${MAX_LIMIT})`,
+            minimum: 1,
+            maximum: MAX_LIMIT,
+            default: DEFAULT_LIMIT
+          },
+          orderBy: {
+            type: 'string',
+            pattern: COLUMN_PATTERN,
+            description: 'Column name to order results by'
+          },
+          ascending: {
+            type: 'boolean',
+            description: 'Sort direction - true for ascending, false for descending (default: true)',
+            default: true
+          },
+          cursor: {
+            type: 'string',
+            description: 'Opaque nextCursor from a previous query_table result; pass it with the same table, columns, filters, orderBy, ascending and include to fetch the next page'
+          },
+          include: {
+            type: 'array',
+            items: { $ref: '#/$defs/include' },
+            minItems: 1,
+            description: 'Related tables to embed in each row, following foreign keys (e.g. columns -> column_items, groups -> articles through group_articles). Each entry may set columns, limit and its own include'
+          }
+        },
+        required: ['table'],
+        additionalProperties: false,
+        $defs: { ...FILTER_DEFS, include: includeDefinition(tables) }
+      }
+    },
+    {
+      name: 'get_schema',
+      description: 'Get database schema information: Postgres column types, nullability, defaults, primary keys and foreign keys',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          table: {
+            type: 'string',
+            description: 'Specific table name to get detailed schema (optional)',
+            enum: tables
+          },
+          refresh: {
+            type: 'boolean',
+            description: 'Reload the schema from the database instead of using the cached copy (default: false)',
+            default: false
+          }
+        },
+        additionalProperties: false
+      }
+    },
+    {
+      name: 'list_tables',
+      description: 'List all available tables in the database',
+      inputSchema: {
+        type: 'object',
+        properties: {},
+        additionalProperties: false
+      }
+    },
+    {
+      name: 'count_records',
+      description: 'Count records in a table with optional filters',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          table: {
+            type: 'string',
+            description: 'Name of the table to count records in',
+            enum: tables
+          },
+          filters: filtersProperty(`Optional filters to apply before counting. ${FILTERS_DESCRIPTION}`)
+        },
+        required: ['table'],
+        additionalProperties: false,
+        $defs: FILTER_DEFS
+      }
+    },
+    {
+      name: 'aggregate',
+      description: 'Compute count, count_distinct, sum, avg, min and max over a table, optionally grouped by columns and timestamp buckets (day, week, month), e.g. articles saved per user per week',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          table: {
+            type: 'string',
+            description: 'Name of the table to aggregate',
+            enum: tables
+          },
+          metrics: {
+            type: 'array',
+            minItems: 1,
+            description: 'Aggregates to compute. Each is output as "as", or <function>_<column> (just "count" for count without a column)',
+            items: {
+              type: 'object',
+              properties: {
+                function: { type: 'string', enum: AGGREGATE_FUNCTIONS },
+                column: {
+                  type: 'string',
+                  pattern: COLUMN_PATTERN,
+                  description: 'Column to aggregate (optional for count, which then counts rows)'
+                },
+                as: { type: 'string', pattern: COLUMN_PATTERN, description: 'Output field name' }
+              },
+              required: ['function'],
+              additionalProperties: false
+            }
+          },
+          groupBy: {
+            type: 'array',
+            description: 'Group keys: a column name, or {"column": "created_at", "bucket": "week"} to group a timestamp by day, week or month (output as <column>_<bucket>)',
+            items: {
+              anyOf: [
+                { type: 'string', pattern: COLUMN_PATTERN },
+                {
+                  type: 'object',
+                  properties: {
+                    column: { type: 'string', pattern: COLUMN_PATTERN },
+                    bucket: { type: 'string', enum: TIME_BUCKETS }
+                  },
+                  required: ['column', 'bucket'],
+                  additionalProperties: false
+                }
+              ]
+            }
+          },
+          filters: filtersProperty(`Optional filters applied before aggregating. ${FILTERS_DESCRIPTION}`),
+          orderBy: {
+            type: 'string',
+            pattern: COLUMN_PATTERN,
+            description: 'Output field (group key or metric) to order by; results are then ordered by the group keys'
+          },
+          ascending: {
+            type: 'boolean',
+            description: 'Sort direction - true for ascending, false for descending (default: true)',
+            default: true
+          },
+          limit: {
+            type: 'integer',
+            description: `Maximum number of result rows (default: ${DEFAULT_LIMIT}, max: ${MAX_LIMIT})`,
+            minimum: 1,
+            maximum: MAX_LIMIT,
+            default: DEFAULT_LIMIT
+          }
+        },
+        required: ['table', 'metrics'],
+        additionalProperties: false,
+        $defs: FILTER_DEFS
+      }
+    },
+    {
+      name: 'get_dashboard',
+      description: 'Get a dashboard as one ordered tree: its sections (via section_order), and its columns with their column_items and items. Use depth and maxChildren to keep the output small',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          id: {
+            type: ['string', 'integer'],
+            description: 'Dashboard id'
+          },
+          depth: {
+            type: 'integer',
+            description: `Levels below the dashboard to include: 1 = section order and columns, 2 = also sections and column items, 3 = also items (default: ${DASHBOARD_MAX_DEPTH})`,
+            minimum: 1,
+            maximum: DASHBOARD_MAX_DEPTH,
+            default: DASHBOARD_MAX_DEPTH
+          },
+          maxChildren: {
+            type: 'integer',
+            description: `Maximum rows in each list of children, e.g. items per column (default: ${DEFAULT_DASHBOARD_CHILDREN})`,
+            minimum: 1,
+            maximum: MAX_LIMIT,
+            default: DEFAULT_DASHBOARD_CHILDREN
+          }
+        },
+        required: ['id'],
+        additionalProperties: false
+      }
+    },
+    {
+      name: 'get_project_overview',
+      description: 'Get a project in one call: the project row with its team, sections and groups, the number of articles in each group, and the most recent notes. Prefer this over several query_table calls',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          id: {
+            type: ['string', 'integer'],
+            description: 'Project id'
+          },
+          maxChildren: {
+            type: 'integer',
+            description: `Maximum sections and groups to return (default: ${DEFAULT_PROJECT_CHILDREN})`,
+            minimum: 1,
+            maximum: MAX_LIMIT,
+            default: DEFAULT_PROJECT_CHILDREN
+          },
+          recentNotes: {
+            type: 'integer',
+            description: `Number of most recent notes to return, 0 for none (default: ${DEFAULT_RECENT_NOTES})`,
+            minimum: 0,
+            maximum: DEFAULT_LIMIT,
+            default: DEFAULT_RECENT_NOTES
+          }
+        },
+        required: ['id'],
+        additionalProperties: false
+      }
+    },
+    {
+      name: 'list_team_members',
+      description: 'List the members of a team, each with a public profile (display name and allowlisted profile fields)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          team: {
+            type: ['string', 'integer'],
+            description: 'Team id'
+          },
+          limit: {
+            type: 'integer',
+            description: `Maximum number of members to return (default: ${DEFAULT_LIMIT}, max: ${MAX_LIMIT})`,
+            minimum: 1,
+            maximum: MAX_LIMIT,
+            default: DEFAULT_LIMIT
+          }
+        },
+        required: ['team'],
+        additionalProperties: false
+      }
+    },
+    {
+      name: 'get_user_context',
+      description: 'Get a user\'s public profile, the teams they belong to, the projects they can see and the articles they saved most recently',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          userId: {
+            type: 'string',
+            description: 'User id'
+          },
+          recentArticles: {
+            type: 'integer',
+            description: `Number of most recently saved articles to return, 0 for none (default: ${DEFAULT_RECENT_ARTICLES})`,
+            minimum: 0,
+            maximum: DEFAULT_LIMIT,
+            default: DEFAULT_RECENT_ARTICLES
+          }
+        },
+        required: ['userId'],
+        additionalProperties: false
+      }
+    }
+  ];
+
+  if (searchTables.length > 0) {
+    tools.push({
+      name: 'search',
+      description: 'Full-text search (Postgres websearch syntax: words, "quoted phrases", OR, -excluded) over a table\'s text columns. Returns hits ranked by relevance with highlighted snippets; when more hits exist the result includes nextCursor',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          table: {
+            type: 'string',
+            description: 'Table to search',
+            enum: searchTables
+          },
+          query: {
+            type: 'string',
+            minLength: 1,
+            description: 'Search terms, e.g. "postgres index" -mysql'
+          },
+          columns: {
+            type: 'array',
+            items: { type: 'string', pattern: COLUMN_PATTERN },
+            minItems: 1,
+            description: 'Columns to return with each hit (default: the searched text columns). The primary key, rank and snippet are always returned'
+          },
+          filters: filtersProperty(`Optional filters applied to the hits. ${FILTERS_DESCRIPTION}`),
+          limit: {
+            type: 'integer',
+            description: `Maximum number of hits to return (default: ${DEFAULT_LIMIT}, max: ${MAX_LIMIT})`,
+            minimum: 1,
+            maximum: MAX_LIMIT,
+            default: DEFAULT_LIMIT
+          },
+          cursor: {
+            type: 'string',
+            description: 'Opaque nextCursor from a previous search result; pass it with the same table, query, columns and filters to fetch the next page'
+          }
+        },
+        required: ['table', 'query'],
+        additionalProperties: false,
+        $defs: FILTER_DEFS
+      }
+    });
+  }
+
+  return tools;
+}
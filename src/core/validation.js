@@ -0,0 +1,189 @@
+// Validate tool arguments against the JSON Schema subset our tools publish:
+// type, enum, const, required, properties, additionalProperties, items,
+// propertyNames, minimum/maximum, minLength/maxLength, minItems/maxItems,
+// pattern, anyOf/oneOf and local $refs ("#/$defs/..."). Defaults are filled in.
+
+// JSON Schema type name for a value
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Does the value match one JSON Schema type name?
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+// Resolve a local "#/..." reference against the root schema
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+}
+
+// Describe allowed values for error messages
+function describe(values) {
+  return values.map(value => JSON.stringify(value)).join(', ');
+}
+
+// Check a value against a schema, pushing { path, message } onto errors.
+// Returns the value with defaults applied.
+function check(schema, value, path, root, errors) {
+  if (schema.$ref) {
+    return check(resolveRef(root, schema.$ref), value, path, root, errors);
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const branches = schema.anyOf || schema.oneOf;
+    const matches = [];
+    const failures = [];
+    for (const branch of branches) {
+      const branchErrors = [];
+      const result = check(branch, value, path, root, branchErrors);
+      if (branchErrors.length === 0) {
+        matches.push(result);
+      } else {
+        failures.push(branchErrors);
+      }
+    }
+
+    if (schema.oneOf && matches.length > 1) {
+      errors.push({ path, message: `${path} matches more than one allowed form` });
+      return value;
+    }
+
+    if (matches.length === 0) {
+      // Report the closest branch: the one that got furthest before failing
+      const closest = failures.find(branchErrors => branchErrors.some(error => error.path !== path));
+      errors.push(...(closest || [{ path, message: `${path} does not match any allowed form` }]));
+      return value;
+    }
+    return matches[0];
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `${path} must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return value;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `${path} must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `${path} must be one of: ${describe(schema.enum)}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `${path} must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `${path} must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `${path} must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `${path} must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `${path} must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `${path} must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `${path} must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      return value.map((item, index) => check(schema.items, item, `${path}[${index}]`, root, errors));
+    }
+    return value;
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const result = {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ path: `${path}.${name}`, message: `${path}.${name} is required` });
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const propertyPath = `${path}.${name}`;
+      // Assigning __proto__ would replace the result's prototype
+      if (name === '__proto__') {
+        errors.push({ path: propertyPath, message: `${propertyPath} is not a valid property name` });
+        continue;
+      }
+      if (schema.propertyNames) {
+        const nameErrors = [];
+        check(schema.propertyNames, name, propertyPath, root, nameErrors);
+        if (nameErrors.length > 0) {
+          errors.push({ path: propertyPath, message: `${propertyPath} is not a valid property name` });
+          continue;
+        }
+      }
+
+      // Own properties only: names like toString must not match
+      // Object.prototype
+      if (Object.hasOwn(properties, name)) {
+        result[name] = check(properties[name], propertyValue, propertyPath, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propertyPath, message: `${propertyPath} is not an allowed property` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        result[name] = check(schema.additionalProperties, propertyValue, propertyPath, root, errors);
+      } else {
+        result[name] = propertyValue;
+      }
+    }
+
+    // Fill in defaults for properties the caller left out
+    for (const [name, propertySchema] of Object.entries(properties)) {
+      if (result[name] === undefined && propertySchema.default !== undefined) {
+        result[name] = structuredClone(propertySchema.default);
+      }
+    }
+
+    const count = Object.keys(value).length;
+    if (schema.minProperties !== undefined && count < schema.minProperties) {
+      errors.push({ path, message: `${path} must have at least ${schema.minProperties} properties` });
+    }
+    if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+      errors.push({ path, message: `${path} must have at most ${schema.maxProperties} properties` });
+    }
+
+    return result;
+  }
+
+  return value;
+}
+
+// Validate tool arguments against a tool's inputSchema. Returns the
+// arguments with defaults applied and a list of { path, message } errors.
+export function validateArguments(schema, args) {
+  const errors = [];
+  const value = check(schema, args, 'arguments', schema, errors);
+  return { value, errors };
+}
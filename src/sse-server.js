@@ -1,528 +1,283 @@
 #!/usr/bin/env node
 
-import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import { createServer } from 'http';
 import { parse } from 'url';
+import { randomUUID } from 'crypto';
+import SupabaseMCPCore from './core/mcp-core.js';
+import { SERVER_INFO, RESOURCE_METADATA_PATH, SESSION_IDLE_TTL_MS, MAX_SESSIONS } from './core/config.js';
+import { readBody, sendJSON } from './core/http.js';
+import { StreamableHTTPTransport } from './core/streamable-http.js';
+import { StdioTransport } from './core/stdio.js';
+import { parseErrorResponse } from './core/jsonrpc.js';
+import {
+  getTokenRegistry, authenticateRequest, authenticateToken, requestToken, sendUnauthorized, localContext
+} from './core/auth.js';
+import { sendProtectedResourceMetadata, getOAuthSettings } from './core/oauth.js';
+import { runTokenCommand } from './token-cli.js';
+
+// Path clients POST session messages to, announced in the SSE `endpoint` event
+const MESSAGES_PATH = '/messages';
+const KEEP_ALIVE_INTERVAL = 30000;
 
 // Load environment variables
 dotenv.config();
 
-// Available tables in the database
-const TABLES = [
-  'articles', 'articles_backup', 'column_items', 'columns', 
-  'dashboards', 'group_articles', 'groups', 'items', 
-  'migrations', 'notes', 'profiles', 'projects', 
-  'section_order', 'sections', 'teams', 'teams_users'
-];
-
-class SupabaseSSEMCPServer {
-  constructor() {
-    // Initialize Supabase client
-    const supabaseUrl = process.env.SUPABASE_URL;
-    const supabaseKey = process.env.SUPABASE_ANON_KEY;
-
-    if (!supabaseUrl || !supabaseKey) {
-      throw new Error('Missing required environment variables: SUPABASE_URL and SUPABASE_ANON_KEY');
-    }
-
-    this.supabase = createClient(supabaseUrl, supabaseKey);
-    this.clients = new Map(); // Track SSE clients
-    
-    // Generate or use provided auth token
-    this.authToken = process.env.MCP_AUTH_TOKEN || this.generateToken();
-    console.log(`🔑 MCP Auth Token: ${this.authToken}`);
+class SupabaseSSEMCPServer extends SupabaseMCPCore {
+  constructor({ idleTTL = SESSION_IDLE_TTL_MS, maxSessions = MAX_SESSIONS } = {}) {
+    super();
+    this.sessions = new Map(); // Track SSE sessions by session id
+    this.idleTTL = idleTTL;
+    this.maxSessions = maxSessions;
+    this.streamableHTTP = new StreamableHTTPTransport(this);
   }
 
-  // Generate a secure random token
-  generateToken() {
-    return 'mcp_' + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-  }
-
-  // Validate authentication token
-  validateToken(req) {
-    const authHeader = req.headers.authorization;
-    const tokenFromQuery = parse(req.url, true).query.token;
-    
-    // Check Authorization header (Bearer token)
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7);
-      return token === this.authToken;
-    }
-    
-    // Check query parameter
-    if (tokenFromQuery) {
-      return tokenFromQuery === this.authToken;
-    }
-    
-    // For development, allow no token if not set
-    if (!process.env.MCP_AUTH_TOKEN && process.env.NODE_ENV !== 'production') {
-      return true;
-    }
-    
-    return false;
+  // Send SSE message
+  sendSSE(res, id, event, data) {
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    const message = `id: ${id}\nevent: ${event}\ndata: ${payload}\n\n`;
+    res.write(message);
   }
 
-  // Check if query is read-only
-  isReadOnlyQuery(query) {
-    const normalizedQuery = query.trim().toUpperCase();
-    
-    // Must start with SELECT or WITH
-    const startsWithAllowed = normalizedQuery.startsWith('SELECT') || normalizedQuery.startsWith('WITH');
-    
-    // Must not contain forbidden operations
-    const forbiddenOperations = [
-      'INSERT', 'UPDATE', 'DELETE', 'DROP', 'CREATE', 'ALTER', 
-      'TRUNCATE', 'GRANT', 'REVOKE', 'EXEC', 'EXECUTE', 'CALL'
-    ];
-    
-    const hasForbiddenOperation = forbiddenOperations.some(op => 
-      normalizedQuery.includes(op)
-    );
-    
-    return startsWithAllowed && !hasForbiddenOperation;
+  // Send a JSON-RPC message over a session's event stream
+  sendToSession(session, message) {
+    session.eventId += 1;
+    this.sendSSE(session.res, session.eventId, 'message', message);
   }
 
-  // Query a specific table with filters
-  async queryTable({ table, columns, filters, limit = 100, orderBy, ascending = true }) {
-    if (!TABLES.includes(table)) {
-      throw new Error(`Table '${table}' not found. Available tables: ${TABLES.join(', ')}`);
+  // Handle SSE connection for MCP (legacy HTTP+SSE transport). The session
+  // keeps the credential context of the connecting request and its token,
+  // which is checked again on every message. Like Streamable HTTP sessions,
+  // at most maxSessions are open at once, and a session without messages
+  // for idleTTL is closed.
+  handleSSEConnection(req, res, context) {
+    this.sweepSessions();
+    if (this.sessions.size >= this.maxSessions) {
+      sendJSON(res, 503, { error: 'Service Unavailable', message: 'Too many open sessions; try again later' });
+      return null;
     }
 
-    let query = this.supabase.from(table).select(columns ? columns.join(',') : '*');
-
-    // Apply filters
-    if (filters) {
-      for (const [key, value] of Object.entries(filters)) {
-        if (Array.isArray(value)) {
-          query = query.in(key, value);
-        } else if (typeof value === 'string' && value.includes('%')) {
-          query = query.like(key, value);
-        } else {
-          query = query.eq(key, value);
-        }
-      }
-    }
+    // Set SSE headers
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Cache-Control, Authorization'
+    });
 
-    // Apply ordering
-    if (orderBy) {
-      query = query.order(orderBy, { ascending });
-    }
+    const sessionId = randomUUID();
+    const session = {
+      ...this.createSession(sessionId, context),
+      res,
+      eventId: 0,
+      token: requestToken(req),
+      lastSeen: Date.now()
+    };
+    this.sessions.set(sessionId, session);
 
-    // Apply limit
-    query = query.limit(Math.min(limit, 1000));
+    // Tell the client where to POST its messages for this session
+    this.sendSSE(res, session.eventId, 'endpoint', `${MESSAGES_PATH}?sessionId=${sessionId}`);
 
-    const { data, error } = await query;
+    // Keep connection alive through proxies, and close it once idle
+    session.keepAlive = setInterval(() => {
+      if (this.isExpired(session)) {
+        this.closeSession(sessionId);
+        return;
+      }
+      res.write(': keep-alive\n\n');
+    }, KEEP_ALIVE_INTERVAL);
 
-    if (error) {
-      throw new Error(`Table query failed: ${error.message}`);
-    }
+    // Handle client disconnect
+    req.on('close', () => this.closeSession(sessionId));
 
-    return {
-      table,
-      rowCount: data?.length || 0,
-      data: data || []
-    };
+    return sessionId;
   }
 
-  // Get schema information
-  async getSchema(tableName) {
-    if (tableName) {
-      // Get basic column info from Supabase if possible
-      try {
-        const { data, error } = await this.supabase
-          .from(tableName)
-          .select('*')
-          .limit(1);
-        
-        if (!error && data && data.length > 0) {
-          const columns = Object.keys(data[0]).map(key => ({
-            column_name: key,
-            data_type: typeof data[0][key],
-            sample_value: data[0][key]
-          }));
-          
-          return {
-            table: tableName,
-            available: true,
-            columns
-          };
-        }
-      } catch (e) {
-        // Fallback to basic info
+  isExpired(session, now = Date.now()) {
+    return now - session.lastSeen > this.idleTTL;
+  }
+
+  // Close idle sessions
+  sweepSessions(now = Date.now()) {
+    for (const [id, session] of this.sessions) {
+      if (this.isExpired(session, now)) {
+        this.closeSession(id);
       }
-      
-      return {
-        table: tableName,
-        available: TABLES.includes(tableName),
-        note: 'Table exists but requires specific permissions to inspect schema'
-      };
-    } else {
-      return {
-        tables: TABLES,
-        description: 'Available tables in the database',
-        note: 'Use specific table name to get column details'
-      };
     }
   }
 
-  // List all tables
-  async listTables() {
-    return {
-      tables: TABLES,
-      count: TABLES.length,
-      description: 'All available tables for querying'
-    };
+  // End a session and its event stream
+  closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+    clearInterval(session.keepAlive);
+    this.sessions.delete(sessionId);
+    session.res.end();
   }
 
-  // Count records in a table
-  async countRecords(table, filters = {}) {
-    if (!TABLES.includes(table)) {
-      throw new Error(`Table '${table}' not found`);
+  // Handle a client message POSTed to a session endpoint. The session's
+  // token must still authenticate as the same credential: a token revoked
+  // or expired since the stream opened ends the session.
+  async handleSessionMessage(req, res, sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Session not found' }));
+      return;
     }
 
-    let query = this.supabase.from(table).select('*', { count: 'exact', head: true });
-
-    // Apply filters
-    if (filters && Object.keys(filters).length > 0) {
-      for (const [key, value] of Object.entries(filters)) {
-        if (Array.isArray(value)) {
-          query = query.in(key, value);
-        } else if (typeof value === 'string' && value.includes('%')) {
-          query = query.like(key, value);
-        } else {
-          query = query.eq(key, value);
-        }
-      }
+    const context = await authenticateToken(session.token);
+    if (!context || context.name !== session.context.name) {
+      this.closeSession(sessionId);
+      sendJSON(res, 401, { error: 'Unauthorized', message: 'The token this session was opened with is no longer valid; connect again' });
+      return;
     }
+    session.lastSeen = Date.now();
 
-    const { count, error } = await query;
-
-    if (error) {
-      throw new Error(`Count query failed: ${error.message}`);
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(parseErrorResponse(error)));
+      return;
     }
 
-    return {
-      table,
-      count: count || 0,
-      filters: filters
-    };
-  }
+    // Acknowledge receipt; the JSON-RPC response goes over the event stream
+    res.writeHead(202);
+    res.end('Accepted');
 
-  // Get MCP tools definition
-  getTools() {
-    return [
-      {
-        name: 'query_table',
-        description: 'Query a specific database table with optional filters, ordering, and column selection',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            table: {
-              type: 'string',
-              description: 'Name of the table to query',
-              enum: TABLES
-            },
-            columns: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Specific columns to select (optional, default: all columns)'
-            },
-            filters: {
-              type: 'object',
-              description: 'Key-value pairs for filtering results (supports arrays for IN queries, strings with % for LIKE queries)'
-            },
-            limit: {
-              type: 'number',
-              description: 'Maximum number of rows to return (default: 100, max: 1000)',
-              minimum: 1,
-              maximum: 1000,
-              default: 100
-            },
-            orderBy: {
-              type: 'string',
-              description: 'Column name to order results by'
-            },
-            ascending: {
-              type: 'boolean',
-              description: 'Sort direction - true for ascending, false for descending (default: true)',
-              default: true
-            }
-          },
-          required: ['table']
-        }
-      },
-      {
-        name: 'get_schema',
-        description: 'Get database schema information for tables and columns',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            table: {
-              type: 'string',
-              description: 'Specific table name to get detailed schema (optional)',
-              enum: TABLES
-            }
-          }
-        }
-      },
-      {
-        name: 'list_tables',
-        description: 'List all available tables in the database',
-        inputSchema: {
-          type: 'object',
-          properties: {}
-        }
-      },
-      {
-        name: 'count_records',
-        description: 'Count records in a table with optional filters',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            table: {
-              type: 'string',
-              description: 'Name of the table to count records in',
-              enum: TABLES
-            },
-            filters: {
-              type: 'object',
-              description: 'Optional filters to apply before counting'
-            }
-          },
-          required: ['table']
-        }
-      }
-    ];
-  }
+    const response = await this.handleMCPPayload(payload, session, context);
 
-  // Handle MCP tool calls
-  async handleToolCall(toolName, args) {
-    try {
-      switch (toolName) {
-        case 'query_table':
-          return await this.queryTable(args);
-        
-        case 'get_schema':
-          return await this.getSchema(args.table);
-        
-        case 'list_tables':
-          return await this.listTables();
-        
-        case 'count_records':
-          return await this.countRecords(args.table, args.filters);
-        
-        default:
-          throw new Error(`Unknown tool: ${toolName}`);
-      }
-    } catch (error) {
-      return {
-        error: error.message,
-        type: 'tool_error'
-      };
+    // Notifications get no response
+    if (response && this.sessions.has(sessionId)) {
+      this.sendToSession(session, response);
     }
   }
 
-  // Send SSE message
-  sendSSE(res, id, event, data) {
-    const message = `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
-    res.write(message);
-  }
-
-  // Handle SSE connection for MCP
-  handleSSEConnection(req, res) {
-    // Set SSE headers
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control, Authorization'
-    });
+  // Route one HTTP request
+  async routeRequest(req, res) {
+    const { pathname, query } = parse(req.url, true);
 
-    const clientId = Date.now().toString();
-    this.clients.set(clientId, res);
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, Mcp-Session-Id');
+    res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id, WWW-Authenticate');
 
-    // Send initial connection message
-    this.sendSSE(res, clientId, 'connected', {
-      server: 'Supabase Read-Only MCP Server',
-      version: '1.0.0',
-      tools: this.getTools(),
-      capabilities: ['tools']
-    });
+    if (req.method === 'OPTIONS') {
+      res.writeHead(200);
+      res.end();
+      return;
+    }
 
-    // Handle client disconnect
-    req.on('close', () => {
-      this.clients.delete(clientId);
-    });
+    // Session message endpoint: the unguessable session id, issued on an
+    // authenticated SSE connection, authorizes messages for that session
+    if (pathname === MESSAGES_PATH && req.method === 'POST') {
+      await this.handleSessionMessage(req, res, query.sessionId);
+      return;
+    }
 
-    return clientId;
-  }
+    // Protected resource metadata for OAuth clients (no auth required)
+    if (pathname === RESOURCE_METADATA_PATH && req.method === 'GET') {
+      sendProtectedResourceMetadata(req, res);
+      return;
+    }
 
-  // Handle MCP protocol messages
-  async handleMCPMessage(message, clientId) {
-    try {
-      const response = {
-        jsonrpc: '2.0',
-        id: message.id
-      };
-
-      switch (message.method) {
-        case 'initialize':
-          response.result = {
-            protocolVersion: '2024-11-05',
-            capabilities: {
-              tools: {
-                listChanged: false
-              }
-            },
-            serverInfo: {
-              name: 'Supabase Read-Only MCP Server',
-              version: '1.0.0'
-            }
-          };
-          break;
-
-        case 'tools/list':
-          response.result = {
-            tools: this.getTools()
-          };
-          break;
-
-        case 'tools/call':
-          const { name: toolName, arguments: args } = message.params;
-          const result = await this.handleToolCall(toolName, args);
-          
-          response.result = {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify(result, null, 2)
-              }
-            ]
-          };
-          break;
-
-        default:
-          response.error = {
-            code: -32601,
-            message: `Method not found: ${message.method}`
-          };
+    // Check authentication for protected endpoints
+    let context;
+    if (pathname === '/mcp-sse' || pathname === '/mcp') {
+      context = await authenticateRequest(req);
+      if (!context) {
+        sendUnauthorized(req, res);
+        return;
       }
-
-      return response;
-    } catch (error) {
-      return {
-        jsonrpc: '2.0',
-        id: message.id,
-        error: {
-          code: -32603,
-          message: `Internal error: ${error.message}`
-        }
-      };
     }
-  }
-
-  // Start the SSE server
-  startServer(port = 3001) {
-    const server = createServer(async (req, res) => {
-      const { pathname, query } = parse(req.url, true);
 
-      // Enable CORS
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    // SSE endpoint for MCP
+    if (pathname === '/mcp-sse' && req.method === 'GET') {
+      this.handleSSEConnection(req, res, context);
+      return;
+    }
 
-      if (req.method === 'OPTIONS') {
-        res.writeHead(200);
-        res.end();
-        return;
-      }
+    // Streamable HTTP endpoint for MCP
+    if (pathname === '/mcp') {
+      await this.streamableHTTP.handleRequest(req, res, context);
+      return;
+    }
 
-      // Check authentication for protected endpoints
-      if (pathname === '/mcp-sse' || pathname === '/mcp') {
-        if (!this.validateToken(req)) {
-          res.writeHead(401, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ 
-            error: 'Unauthorized', 
-            message: 'Valid token required. Use Authorization: Bearer <token> header or ?token=<token> parameter' 
-          }));
-          return;
-        }
-      }
+    // Health check endpoint (no auth required). The tools depend on the
+    // discovered tables, so wait for discovery; a failure leaves them empty.
+    if (pathname === '/' && req.method === 'GET') {
+      await this.discoverTables().catch(() => {});
+      res.setHeader('Content-Type', 'application/json');
+      res.writeHead(200);
+      res.end(JSON.stringify({
+        status: 'running',
+        server: SERVER_INFO.name,
+        version: SERVER_INFO.version,
+        endpoints: {
+          mcp_sse: '/mcp-sse',
+          mcp_messages: MESSAGES_PATH,
+          mcp_streamable_http: '/mcp',
+          oauth_protected_resource: RESOURCE_METADATA_PATH,
+          health: '/'
+        },
+        tools: this.getTools().map(t => t.name),
+        tables: this.tables,
+        authentication: 'Token required for MCP endpoints'
+      }));
+      return;
+    }
 
-      // SSE endpoint for MCP
-      if (pathname === '/mcp-sse' && req.method === 'GET') {
-        const clientId = this.handleSSEConnection(req, res);
-        
-        // Handle incoming messages via query parameters or separate POST endpoint
-        if (query.message) {
-          try {
-            const message = JSON.parse(decodeURIComponent(query.message));
-            const response = await this.handleMCPMessage(message, clientId);
-            this.sendSSE(res, message.id || 'response', 'message', response);
-          } catch (error) {
-            this.sendSSE(res, 'error', 'error', { error: error.message });
-          }
-        }
-        return;
-      }
+    // 404
+    res.writeHead(404);
+    res.end('Not Found');
+  }
 
-      // POST endpoint for MCP messages
-      if (pathname === '/mcp' && req.method === 'POST') {
-        let body = '';
-        req.on('data', chunk => {
-          body += chunk.toString();
-        });
-
-        req.on('end', async () => {
-          try {
-            const message = JSON.parse(body);
-            const response = await this.handleMCPMessage(message, 'http');
-            
-            res.setHeader('Content-Type', 'application/json');
-            res.writeHead(200);
-            res.end(JSON.stringify(response, null, 2));
-          } catch (error) {
-            res.setHeader('Content-Type', 'application/json');
-            res.writeHead(400);
-            res.end(JSON.stringify({ error: error.message }));
-          }
-        });
-        return;
-      }
+  // Answer a request whose handling failed. A stream that is already
+  // open can only be closed.
+  sendServerError(res, error) {
+    console.error('MCP Server Error:', error);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    sendJSON(res, 500, { error: 'Internal Server Error', message: error.message });
+  }
 
-      // Health check endpoint (no auth required)
-      if (pathname === '/' && req.method === 'GET') {
-        res.setHeader('Content-Type', 'application/json');
-        res.writeHead(200);
-        res.end(JSON.stringify({
-          status: 'running',
-          server: 'Supabase Read-Only MCP Server',
-          version: '1.0.0',
-          endpoints: {
-            mcp_sse: '/mcp-sse',
-            mcp_post: '/mcp',
-            health: '/'
-          },
-          tools: this.getTools().map(t => t.name),
-          tables: TABLES,
-          authentication: 'Token required for MCP endpoints'
-        }));
-        return;
-      }
+  // Start the SSE server. Token and OAuth configuration is checked first,
+  // so a mistake stops the server here rather than failing requests.
+  startServer(port = 3001) {
+    getTokenRegistry();
+    getOAuthSettings();
 
-      // 404
-      res.writeHead(404);
-      res.end('Not Found');
+    const server = createServer((req, res) => {
+      this.routeRequest(req, res).catch(error => this.sendServerError(res, error));
     });
 
+    // Discover tables up front so the first request does not wait. The
+    // table enum and the search tool depend on them, so tools are listed here.
+    this.discoverTables()
+      .then(tables => {
+        console.log(`📋 Exposing ${tables.length} tables: ${tables.join(', ')}`);
+        console.log(`💡 Available tools: ${this.getTools().map(t => t.name).join(', ')}`);
+      })
+      .catch(error => console.error(`⚠️  ${error.message}`));
+
     server.listen(port, () => {
       console.log(`🚀 Supabase SSE MCP Server running on http://localhost:${port}`);
       console.log(`📡 SSE endpoint: http://localhost:${port}/mcp-sse`);
+      console.log(`🌊 Streamable HTTP endpoint: http://localhost:${port}/mcp`);
       console.log(`🔧 Health check: http://localhost:${port}/`);
-      console.log(`🔑 Auth token: ${this.authToken}`);
-      console.log(`💡 Available tools: ${this.getTools().map(t => t.name).join(', ')}`);
+      // Never print secrets: tokens are shown once, by the token command
+      const tokens = getTokenRegistry().size;
+      console.log(tokens > 0
+        ? `🔑 Accepting ${tokens} token(s)`
+        : '🔑 No tokens configured; create one with: npm run token -- create <label>');
     });
 
     return server;
@@ -531,29 +286,47 @@ class SupabaseSSEMCPServer {
 
 // Command line interface
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const server = new SupabaseSSEMCPServer();
-  
   const command = process.argv[2];
   const port = process.argv[3] ? parseInt(process.argv[3]) : 3001;
 
+  // stdout carries JSON-RPC in stdio mode, so every log goes to stderr
+  if (command === 'stdio') {
+    console.log = console.error;
+  }
+
+  // Token management needs no database connection
+  const server = command === 'token' ? null : new SupabaseSSEMCPServer();
+
   switch (command) {
     case 'start':
     case 'server':
-      server.startServer(port);
+      try {
+        server.startServer(port);
+      } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = 1;
+      }
+      break;
+    
+    case 'stdio':
+      new StdioTransport(server, { context: localContext() }).start();
       break;
     
     case 'test':
-      server.queryTable({ table: 'articles', limit: 5 })
+      server.discoverTables()
+        .then(tables => server.queryTable({ table: tables[0], limit: 5 }))
         .then(result => console.log(JSON.stringify(result, null, 2)))
         .catch(error => console.error('Error:', error.message));
       break;
     
     case 'tools':
-      console.log(JSON.stringify(server.getTools(), null, 2));
+      server.discoverTables()
+        .then(() => console.log(JSON.stringify(server.getTools(), null, 2)))
+        .catch(error => console.error('Error:', error.message));
       break;
     
     case 'token':
-      console.log(`🔑 Your MCP Auth Token: ${server.authToken}`);
+      process.exitCode = runTokenCommand(process.argv.slice(3));
       break;
     
     default:
@@ -561,13 +334,15 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       console.log('');
       console.log('Commands:');
       console.log('  start [port]    - Start SSE MCP server (default port 3001)');
+      console.log('  stdio           - Serve MCP over stdin/stdout for desktop clients');
       console.log('  test            - Test database connection');
       console.log('  tools           - List available tools');
-      console.log('  token           - Show authentication token');
+      console.log('  token <command> - Create, list, revoke or rotate tokens');
       console.log('');
       console.log('Endpoints:');
       console.log('  /mcp-sse        - SSE endpoint for MCP protocol');
-      console.log('  /mcp            - POST endpoint for MCP messages');
+      console.log('  /messages       - Session message endpoint announced over SSE');
+      console.log('  /mcp            - Streamable HTTP endpoint (POST, GET, DELETE)');
       console.log('  /               - Health check');
       break;
   }
@@ -0,0 +1,171 @@
+import { TokenStore } from './core/token-store.js';
+import { signJwt } from './core/jwt.js';
+import { TOKEN_SCOPES, SQL_ROLE, SQL_KEY_EXPIRY } from './core/config.js';
+import { parsePatterns } from './core/tables.js';
+import { parseScope } from './core/scope.js';
+
+// `token` subcommands: create, list, revoke and rotate tokens in the local
+// token file. Secrets are printed once, when created or rotated. sql-key
+// prints the MCP_SQL_KEY the server calls the SQL function with.
+
+const USAGE = [
+  'Usage: token <command>',
+  '',
+  'Commands:',
+  '  create <label> [options]   - Create a token and print it once',
+  '  list                       - List tokens (no secrets)',
+  '  revoke <label>             - Delete a token',
+  '  rotate <label> [--expires] - Replace a token\'s secret and print it once',
+  `  sql-key [--expires]        - Print an MCP_SQL_KEY for the ${SQL_ROLE} role (needs SUPABASE_JWT_SECRET)`,
+  '',
+  'Options:',
+  `  --scopes a,b     Scopes to grant: ${TOKEN_SCOPES.join(', ')} (default: tools:query,tools:schema)`,
+  '  --tables a,b*    Table patterns the token may read (default: all exposed tables)',
+  '  --rows JSON      Row scope, as in MCP_AUTH_SCOPE',
+  '  --expires WHEN   A date (2026-12-31), a duration (30d, 12h) or "never"',
+  `                   (default: never for tokens, ${SQL_KEY_EXPIRY} for sql-key)`
+].join('\n');
+
+const DURATION = /^(\d+)([dh])$/;
+
+// Expiry for --expires as an ISO string, or null for never
+function parseExpiry(value, now = Date.now()) {
+  if (value === undefined || value === 'never') {
+    return null;
+  }
+
+  const duration = DURATION.exec(value);
+  const time = duration
+    ? now + Number(duration[1]) * (duration[2] === 'd' ? 24 : 1) * 60 * 60 * 1000
+    : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`--expires must be a date, a duration such as 30d, or "never"; got '${value}'`);
+  }
+  if (time <= now) {
+    throw new Error('--expires must be in the future');
+  }
+  return new Date(time).toISOString();
+}
+
+// Split arguments into positionals and --option values
+function parseArguments(args) {
+  const positionals = [];
+  const options = {};
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    const value = inline ?? args[++index];
+    if (value === undefined) {
+      throw new Error(`--${name} needs a value`);
+    }
+    options[name] = value;
+  }
+  return { positionals, options };
+}
+
+function parseScopes(value = 'tools:query,tools:schema') {
+  const scopes = parsePatterns(value);
+  const unknown = scopes.find(scope => !TOKEN_SCOPES.includes(scope));
+  if (unknown) {
+    throw new Error(`Unknown scope '${unknown}'; use one of: ${TOKEN_SCOPES.join(', ')}`);
+  }
+  return scopes;
+}
+
+function requireLabel(label, command) {
+  if (!label) {
+    throw new Error(`token ${command} needs a label`);
+  }
+  return label;
+}
+
+function printSecret(label, token) {
+  console.log(`🔑 Token '${label}' (shown once, store it now):`);
+  console.log(token);
+}
+
+// Run a `token` subcommand. Returns the process exit code.
+export function runTokenCommand(args, store = new TokenStore()) {
+  try {
+    const { positionals: [command, label], options } = parseArguments(args);
+
+    switch (command) {
+      case 'create': {
+        const name = requireLabel(label, command);
+        const token = store.create({
+          name,
+          scopes: parseScopes(options.scopes),
+          tables: options.tables ? parsePatterns(options.tables) : null,
+          rows: parseScope(options.rows, '--rows') || null,
+          expiresAt: parseExpiry(options.expires)
+        });
+        printSecret(name, token);
+        return 0;
+      }
+
+      case 'list': {
+        const tokens = store.load();
+        if (tokens.length === 0) {
+          console.log(`No tokens in ${store.path}`);
+          return 0;
+        }
+        for (const record of tokens) {
+          const expired = record.expiresAt && Date.parse(record.expiresAt) <= Date.now();
+          console.log([
+            record.name,
+            `scopes=${record.scopes.join(',')}`,
+            `tables=${record.tables ? record.tables.join(',') : '*'}`,
+            ...(record.rows ? ['rows=scoped'] : []),
+            `created=${record.createdAt}`,
+            `expires=${record.expiresAt || 'never'}${expired ? ' (expired)' : ''}`
+          ].join('  '));
+        }
+        return 0;
+      }
+
+      case 'revoke': {
+        const name = requireLabel(label, command);
+        store.revoke(name);
+        console.log(`Revoked token '${name}'`);
+        return 0;
+      }
+
+      case 'rotate': {
+        const name = requireLabel(label, command);
+        const changes = options.expires ? { expiresAt: parseExpiry(options.expires) } : {};
+        printSecret(name, store.rotate(name, changes));
+        return 0;
+      }
+
+      case 'sql-key': {
+        const secret = process.env.SUPABASE_JWT_SECRET;
+        if (!secret) {
+          throw new Error('token sql-key needs SUPABASE_JWT_SECRET, the project\'s JWT secret');
+        }
+        const expiresAt = parseExpiry(options.expires ?? SQL_KEY_EXPIRY);
+        const claims = {
+          role: SQL_ROLE,
+          iat: Math.floor(Date.now() / 1000),
+          ...(expiresAt ? { exp: Math.floor(Date.parse(expiresAt) / 1000) } : {})
+        };
+        console.log(`🔑 MCP_SQL_KEY for the ${SQL_ROLE} role (keep it on the server, like the service role key):`);
+        console.log(signJwt(claims, secret));
+        console.log(expiresAt
+          ? `Expires ${expiresAt}; run token sql-key again before then`
+          : 'Never expires');
+        return 0;
+      }
+
+      default:
+        console.log(USAGE);
+        return command ? 1 : 0;
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  }
+}
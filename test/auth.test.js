@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TokenRegistry, parseTokens, getTokenRegistry } from '../src/core/auth.js';
+import { TokenStore, generateSalt, hashToken } from '../src/core/token-store.js';
+
+// The token registry behind every HTTP handler: lookup by secret, expiry
+// and the checks on configured entries.
+
+const reporting = { name: 'reporting', token: 'secret-reporting', scopes: ['tools:query'], tables: ['articles'] };
+
+test('authenticates a token and returns its context', () => {
+  const registry = new TokenRegistry(parseTokens([reporting]));
+  assert.deepEqual(registry.authenticate('secret-reporting'), {
+    name: 'reporting', scopes: ['tools:query'], tables: ['articles'], rows: null
+  });
+});
+
+test('refuses unknown, empty and missing tokens', () => {
+  const registry = new TokenRegistry(parseTokens([reporting]));
+  for (const token of ['secret-reportin', 'secret-reporting ', '', null, undefined, 42]) {
+    assert.equal(registry.authenticate(token), null, `token ${JSON.stringify(token)}`);
+  }
+});
+
+test('refuses a token from its expiry on', () => {
+  const expiresAt = '2026-01-01T00:00:00Z';
+  const registry = new TokenRegistry(parseTokens([{ ...reporting, expiresAt }]));
+  const expiry = Date.parse(expiresAt);
+
+  assert.equal(registry.authenticate('secret-reporting', expiry - 1)?.name, 'reporting');
+  assert.equal(registry.authenticate('secret-reporting', expiry), null);
+  assert.equal(registry.authenticate('secret-reporting', expiry + 1), null);
+});
+
+test('a token that never expires accepts a null expiresAt', () => {
+  const registry = new TokenRegistry(parseTokens([{ ...reporting, expiresAt: null }]));
+  assert.equal(registry.authenticate('secret-reporting', Date.parse('2100-01-01'))?.name, 'reporting');
+});
+
+test('rejects duplicate token names', () => {
+  assert.throws(
+    () => new TokenRegistry(parseTokens([reporting, { ...reporting, token: 'another-secret' }])),
+    /Duplicate token name 'reporting'/
+  );
+
+  const registry = new TokenRegistry(parseTokens([reporting]));
+  assert.throws(() => registry.add({ name: 'reporting', token: 'x' }), /Duplicate token name/);
+});
+
+test('accepts a stored salt and hash instead of the token', () => {
+  const salt = generateSalt();
+  const hash = hashToken('stored-secret', salt).toString('base64');
+  const registry = new TokenRegistry(parseTokens([{ name: 'ci', salt: salt.toString('base64'), hash }]));
+
+  assert.equal(registry.authenticate('stored-secret')?.name, 'ci');
+  assert.equal(registry.authenticate(hash), null);
+});
+
+test('rejects a malformed hash', () => {
+  const salt = generateSalt().toString('base64');
+  for (const hash of ['', 'c2hvcnQ=', Buffer.alloc(33).toString('base64')]) {
+    assert.throws(
+      () => parseTokens([{ name: 'ci', salt, hash }]),
+      /token 'ci' has a malformed hash/,
+      `hash ${JSON.stringify(hash)}`
+    );
+  }
+});
+
+const invalid = [
+  ['not JSON', '[{', /Invalid MCP_TOKENS/],
+  ['not an array', '{"name": "a"}', /expected an array of token objects/],
+  ['no name', [{ token: 'x' }], /every token needs a name/],
+  ['no token value', [{ name: 'a' }], /token 'a' has no token value/],
+  ['unknown scope', [{ name: 'a', token: 'x', scopes: ['tools:write'] }], /unknown scope 'tools:write'/],
+  ['bad tables', [{ name: 'a', token: 'x', tables: 'articles' }], /tables of 'a' must be a list/],
+  ['bad expiry', [{ name: 'a', token: 'x', expiresAt: 'soon' }], /expiresAt of 'a' is not a date/],
+  ['or in rows', [{ name: 'a', token: 'x', rows: { '*': { or: [] } } }], /'or' groups are not allowed/]
+];
+
+for (const [name, value, message] of invalid) {
+  test(`rejects MCP_TOKENS with ${name}`, () => {
+    assert.throws(() => parseTokens(value), message);
+  });
+}
+
+test('getTokenRegistry keeps the previous tokens when the token file fails to load', t => {
+  const path = join(mkdtempSync(join(tmpdir(), 'mcp-tokens-')), 'tokens.json');
+  const env = { ...process.env };
+  t.after(() => {
+    process.env = env;
+  });
+  process.env = { MCP_TOKEN_FILE: path };
+  const errors = t.mock.method(console, 'error', () => {});
+
+  const store = new TokenStore(path);
+  const first = store.create({ name: 'first', scopes: ['tools:query'] });
+  assert.equal(getTokenRegistry().authenticate(first)?.name, 'first');
+
+  // A write caught halfway
+  writeFileSync(path, '{"tokens": [');
+  assert.equal(getTokenRegistry().authenticate(first)?.name, 'first');
+  assert.equal(getTokenRegistry().authenticate(first)?.name, 'first');
+  assert.equal(errors.mock.callCount(), 1);
+  assert.match(errors.mock.calls[0].arguments[0], /Keeping the previous tokens: Invalid token file/);
+
+  writeFileSync(path, '{"tokens": []}');
+  const second = store.create({ name: 'second', scopes: ['tools:query'] });
+  assert.equal(getTokenRegistry().authenticate(first), null);
+  assert.equal(getTokenRegistry().authenticate(second)?.name, 'second');
+});
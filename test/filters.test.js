@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFilters, filtersToSQL, filterColumns, quoteLiteral } from '../src/core/filters.js';
+
+// The filter grammar rendered two ways: as PostgREST query parameters and
+// as a SQL condition for the tools that build SQL.
+
+// Records the PostgREST parameters applyFilters produces
+function render(filters) {
+  const calls = [];
+  const query = {
+    filter: (...args) => calls.push(['filter', ...args]) && query,
+    or: value => calls.push(['or', value]) && query
+  };
+  applyFilters(query, filters);
+  return calls;
+}
+
+test('renders conditions as PostgREST parameters', () => {
+  assert.deepEqual(render({
+    status: 'read',
+    deleted_at: null,
+    id: [1, 'a,b'],
+    score: { gte: 2, lt: 10 },
+    archived: { isNot: true },
+    tags: { contains: ['x', 'y z'] },
+    meta: { containedBy: { kind: 'note' } }
+  }), [
+    ['filter', 'status', 'eq', 'read'],
+    ['filter', 'deleted_at', 'is', 'null'],
+    ['filter', 'id', 'in', '(1,"a,b")'],
+    ['filter', 'score', 'gte', '2'],
+    ['filter', 'score', 'lt', '10'],
+    ['filter', 'archived', 'not.is', 'true'],
+    ['filter', 'tags', 'cs', '{"x","y z"}'],
+    ['filter', 'meta', 'cd', '{"kind":"note"}']
+  ]);
+});
+
+test('renders or groups as a logic tree with quoted strings', () => {
+  assert.deepEqual(render({
+    or: [{ title: 'a,b' }, { and: [{ status: { neq: null } }, { title: { ilike: '%x"y%' } }] }]
+  }), [
+    ['or', 'title.eq."a,b",and(status.not.is.null,title.ilike."%x\\"y%")']
+  ]);
+});
+
+test('renders the same filters as SQL', () => {
+  assert.equal(filtersToSQL({
+    status: 'read',
+    deleted_at: null,
+    id: [1, "o'brien"],
+    score: { gte: 2 },
+    archived: { isNot: true },
+    tags: { overlaps: ['x'] }
+  }), `("status" = 'read' AND "deleted_at" IS NULL AND "id" IN (1, 'o''brien') AND "score" >= 2 AND "archived" IS NOT TRUE AND "tags" && '{"x"}')`);
+
+  assert.equal(filtersToSQL({ or: [{ 'a"b': 1 }, { c: { like: 'x%' } }] }), `("a""b" = 1 OR "c" LIKE 'x%')`);
+  assert.equal(filtersToSQL({}), 'TRUE');
+  assert.equal(filtersToSQL(undefined), 'TRUE');
+});
+
+test('quoteLiteral escapes quotes and keeps numbers and booleans bare', () => {
+  assert.equal(quoteLiteral("it's"), "'it''s'");
+  assert.equal(quoteLiteral(3), '3');
+  assert.equal(quoteLiteral(false), 'FALSE');
+  assert.equal(quoteLiteral(null), 'NULL');
+});
+
+test('filterColumns lists every column, inside groups too', () => {
+  assert.deepEqual(filterColumns({ a: 1, or: [{ b: 2 }, { and: [{ c: { gt: 1 } }, { a: 2 }] }] }), ['a', 'b', 'c']);
+  assert.deepEqual(filterColumns(undefined), []);
+});
+
+test('rejects unknown operators, including Object.prototype names', () => {
+  for (const op of ['toString', 'constructor', 'hasOwnProperty', '__proto__', 'matches']) {
+    const filters = { title: Object.defineProperty({}, op, { value: 1, enumerable: true }) };
+    const message = new RegExp(`Unknown filter operator '${op}' on 'title'`);
+    assert.throws(() => render(filters), message, op);
+    assert.throws(() => filtersToSQL(filters), message, op);
+    assert.throws(() => render({ or: [filters, { id: 1 }] }), message, op);
+  }
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, sign } from 'crypto';
+import { JwtVerifier, JwtError, signJwt } from '../src/core/jwt.js';
+
+// JWT verification as used for Supabase user JWTs and OAuth access tokens:
+// algorithms are tied to the key material configured, and exp, iss and aud
+// are checked after the signature.
+
+const secret = 'test-secret-with-at-least-thirty-two-characters';
+const issuer = 'https://project.supabase.co/auth/v1';
+const audience = 'authenticated';
+const now = Date.parse('2026-06-01T00:00:00Z');
+const seconds = now / 1000;
+const claims = { sub: 'user-1', role: 'authenticated', iss: issuer, aud: audience, exp: seconds + 3600 };
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' };
+const jwks = async () => ({ ok: true, json: async () => ({ keys: [jwk] }) });
+
+const encode = part => Buffer.from(JSON.stringify(part)).toString('base64url');
+
+function signRS256(payload, header = { alg: 'RS256', typ: 'JWT', kid: 'key-1' }) {
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  return `${signingInput}.${sign('sha256', Buffer.from(signingInput), privateKey).toString('base64url')}`;
+}
+
+function unsigned(payload) {
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.`;
+}
+
+const hsVerifier = () => new JwtVerifier({ secret, issuer, audience });
+const rsVerifier = () => new JwtVerifier({ jwksUrl: 'https://issuer.test/jwks.json', fetch: jwks, issuer, audience });
+
+async function rejects(verifier, token, message) {
+  await assert.rejects(verifier.verify(token, now), error => error instanceof JwtError && message.test(error.message));
+}
+
+test('accepts HS256 tokens signed with the secret', async () => {
+  assert.equal((await hsVerifier().verify(signJwt(claims, secret), now)).sub, 'user-1');
+});
+
+test('accepts RS256 tokens signed with a key from the JWKS', async () => {
+  assert.equal((await rsVerifier().verify(signRS256(claims), now)).sub, 'user-1');
+});
+
+test('rejects alg none, with or without a signature', async () => {
+  for (const verifier of [hsVerifier(), rsVerifier()]) {
+    await rejects(verifier, unsigned(claims), /Unsupported algorithm: none/);
+    const [header, payload] = unsigned(claims).split('.');
+    await rejects(verifier, `${header}.${payload}.${signJwt(claims, secret).split('.')[2]}`, /Unsupported algorithm: none/);
+  }
+});
+
+test('rejects HS256 tokens signed with the public key when only a JWKS is configured', async () => {
+  const pem = publicKey.export({ type: 'spki', format: 'pem' });
+  await rejects(rsVerifier(), signJwt(claims, pem), /Unsupported algorithm: HS256/);
+});
+
+test('rejects RS256 tokens when only a secret is configured', async () => {
+  await rejects(hsVerifier(), signRS256(claims), /Unsupported algorithm: RS256/);
+});
+
+test('rejects bad signatures', async () => {
+  await rejects(hsVerifier(), signJwt(claims, `${secret}x`), /Invalid signature/);
+
+  const [header, , signature] = signRS256(claims).split('.');
+  await rejects(rsVerifier(), `${header}.${encode({ ...claims, sub: 'admin' })}.${signature}`, /Invalid signature/);
+});
+
+test('rejects RS256 tokens naming an unknown key', async () => {
+  await rejects(rsVerifier(), signRS256(claims, { alg: 'RS256', kid: 'other' }), /No signing key 'other'/);
+});
+
+test('rejects expired tokens and tokens without exp', async () => {
+  await rejects(hsVerifier(), signJwt({ ...claims, exp: seconds - 3600 }, secret), /Token has expired/);
+  const { exp, ...noExpiry } = claims;
+  await rejects(hsVerifier(), signJwt(noExpiry, secret), /Token has no expiry/);
+});
+
+test('allows clock skew on exp and nbf within the tolerance', async () => {
+  const verifier = hsVerifier();
+  assert.ok(await verifier.verify(signJwt({ ...claims, exp: seconds - 10 }, secret), now));
+  assert.ok(await verifier.verify(signJwt({ ...claims, nbf: seconds + 10 }, secret), now));
+  await rejects(verifier, signJwt({ ...claims, nbf: seconds + 3600 }, secret), /Token is not valid yet/);
+});
+
+test('rejects the wrong issuer', async () => {
+  await rejects(hsVerifier(), signJwt({ ...claims, iss: 'https://other.supabase.co/auth/v1' }, secret), /Unexpected issuer/);
+  const { iss, ...noIssuer } = claims;
+  await rejects(hsVerifier(), signJwt(noIssuer, secret), /Unexpected issuer/);
+});
+
+test('rejects the wrong audience and accepts it in a list', async () => {
+  await rejects(hsVerifier(), signJwt({ ...claims, aud: 'anon' }, secret), /Unexpected audience/);
+  await rejects(rsVerifier(), signRS256({ ...claims, aud: ['anon', 'service'] }), /Unexpected audience/);
+  assert.ok(await hsVerifier().verify(signJwt({ ...claims, aud: ['other', audience] }, secret), now));
+});
+
+test('rejects tokens that are not JWTs', async () => {
+  for (const token of ['', 'a.b', 'not a token', 'a.b.c.d']) {
+    await assert.rejects(hsVerifier().verify(token, now), JwtError);
+  }
+});
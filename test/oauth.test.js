@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  oauthSettings, protectedResourceMetadata, bearerChallenge, grantedScopes
+} from '../src/core/oauth.js';
+import { TOKEN_SCOPES, SERVER_INFO } from '../src/core/config.js';
+
+// OAuth settings are checked once at startup; the metadata document and
+// the 401 challenge are built from settings that passed.
+
+const issuer = 'https://auth.example.com';
+const resource = 'https://mcp.example.com/mcp';
+const settings = oauthSettings({ MCP_OAUTH_ISSUER: issuer, MCP_RESOURCE_URL: resource });
+
+const req = { headers: { host: 'localhost:3001' } };
+const proxied = { headers: { host: 'internal:3001', 'x-forwarded-proto': 'https,http', 'x-forwarded-host': 'mcp.example.com' } };
+
+// Run `fn` with MCP_RESOURCE_URL set or unset
+function withResourceUrl(value, fn) {
+  const previous = process.env.MCP_RESOURCE_URL;
+  if (value === undefined) {
+    delete process.env.MCP_RESOURCE_URL;
+  } else {
+    process.env.MCP_RESOURCE_URL = value;
+  }
+  try {
+    return fn();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.MCP_RESOURCE_URL;
+    } else {
+      process.env.MCP_RESOURCE_URL = previous;
+    }
+  }
+}
+
+test('oauthSettings is null without an issuer and derives the JWKS URL', () => {
+  assert.equal(oauthSettings({}), null);
+  assert.deepEqual(settings, { issuer, audience: resource, jwksUrl: `${issuer}/.well-known/jwks.json` });
+  assert.deepEqual(oauthSettings({ MCP_OAUTH_ISSUER: `${issuer}/`, MCP_OAUTH_AUDIENCE: 'mcp', MCP_OAUTH_JWKS_URL: 'https://keys.example.com' }), {
+    issuer: `${issuer}/`, audience: 'mcp', jwksUrl: 'https://keys.example.com'
+  });
+});
+
+test('oauthSettings rejects configuration mistakes', () => {
+  assert.throws(() => oauthSettings({ MCP_OAUTH_ISSUER: issuer }), /needs MCP_OAUTH_AUDIENCE or MCP_RESOURCE_URL/);
+  assert.throws(() => oauthSettings({ MCP_OAUTH_ISSUER: 'auth.example.com', MCP_OAUTH_AUDIENCE: 'mcp' }), /MCP_OAUTH_ISSUER is not a URL/);
+  assert.throws(() => oauthSettings({ MCP_RESOURCE_URL: 'mcp.example.com/mcp' }), /MCP_RESOURCE_URL is not a URL/);
+});
+
+test('metadata names the resource, the issuer and the scopes', () => {
+  withResourceUrl(resource, () => {
+    assert.deepEqual(protectedResourceMetadata(req, settings), {
+      resource,
+      authorization_servers: [issuer],
+      scopes_supported: TOKEN_SCOPES,
+      bearer_methods_supported: ['header', 'query'],
+      resource_name: SERVER_INFO.name
+    });
+  });
+});
+
+test('metadata falls back to the request origin and lists no issuer without OAuth', () => {
+  withResourceUrl(undefined, () => {
+    const metadata = protectedResourceMetadata(proxied, null);
+    assert.equal(metadata.resource, 'https://mcp.example.com/mcp');
+    assert.deepEqual(metadata.authorization_servers, []);
+    assert.equal(protectedResourceMetadata(req, null).resource, 'http://localhost:3001/mcp');
+  });
+});
+
+test('the challenge points to the metadata when OAuth is on', () => {
+  withResourceUrl(resource, () => {
+    assert.equal(
+      bearerChallenge(req, { settings }),
+      'Bearer resource_metadata="https://mcp.example.com/.well-known/oauth-protected-resource"'
+    );
+    assert.equal(
+      bearerChallenge(req, { presented: true, settings }),
+      'Bearer resource_metadata="https://mcp.example.com/.well-known/oauth-protected-resource", error="invalid_token"'
+    );
+  });
+});
+
+test('the challenge is plain Bearer without OAuth', () => {
+  assert.equal(bearerChallenge(req, { settings: null }), 'Bearer');
+  assert.equal(bearerChallenge(req, { presented: true, settings: null }), 'Bearer error="invalid_token"');
+});
+
+test('grantedScopes keeps only known scopes from scope or scp', () => {
+  assert.deepEqual(grantedScopes({ scope: 'openid tools:query admin:all' }), ['tools:query']);
+  assert.deepEqual(grantedScopes({ scp: ['tools:schema', 'tools:query'] }), ['tools:query', 'tools:schema']);
+  assert.deepEqual(grantedScopes({}), []);
+});
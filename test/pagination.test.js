@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SupabaseMCPCore from '../src/core/mcp-core.js';
+import {
+  queryFingerprint, encodeCursor, decodeCursor, keysetFilter, sortColumns
+} from '../src/core/pagination.js';
+
+// Keyset pagination is checked by paging through rows in memory: following
+// the cursors must return every row once, in the order Postgres sorts them
+// (NULLs last ascending, first descending), for nullable order columns and
+// composite primary keys.
+
+// id 1..9, a composite key (a, b), and a nullable score with duplicates
+const scores = [3, null, 1, 3, null, 2, 1, null, 3];
+const rows = scores.map((score, index) => {
+  const id = index + 1;
+  return { id, a: id % 3, b: Math.floor(id / 3), score };
+});
+
+// Filter grammar evaluated with SQL semantics: comparisons with NULL fail
+function matches(row, filters) {
+  return Object.entries(filters).every(([key, condition]) => {
+    if (key === 'or') {
+      return condition.some(branch => matches(row, branch));
+    }
+    if (key === 'and') {
+      return condition.every(branch => matches(row, branch));
+    }
+    const value = row[key];
+    if (condition === null) {
+      return value === null;
+    }
+    if (typeof condition !== 'object') {
+      return value !== null && value === condition;
+    }
+    return Object.entries(condition).every(([op, operand]) => {
+      if (op === 'isNot') {
+        return value !== null;
+      }
+      return value !== null && (op === 'gt' ? value > operand : value < operand);
+    });
+  });
+}
+
+// ORDER BY each sort column in one direction, as Postgres does
+function compare(columns, ascending) {
+  return (left, right) => {
+    for (const column of columns) {
+      const [x, y] = [left[column], right[column]];
+      if (x === y) {
+        continue;
+      }
+      const order = x === null ? 1 : y === null ? -1 : x < y ? -1 : 1;
+      return ascending ? order : -order;
+    }
+    return 0;
+  };
+}
+
+function pageThrough(orderBy, primaryKey, ascending, pageSize) {
+  const fingerprint = queryFingerprint({ table: 'items', orderBy, ascending });
+  const order = compare(sortColumns(orderBy, primaryKey), ascending);
+  const seen = [];
+  let cursor = null;
+
+  for (let page = 0; page < rows.length + 1; page++) {
+    const filter = cursor ? keysetFilter(orderBy, primaryKey, ascending, decodeCursor(cursor, fingerprint)) : {};
+    const matching = rows.filter(row => matches(row, filter)).sort(order);
+    const pageRows = matching.slice(0, pageSize);
+    seen.push(...pageRows.map(row => row.id));
+    if (matching.length <= pageSize) {
+      return seen;
+    }
+    cursor = encodeCursor(fingerprint, orderBy, primaryKey, pageRows[pageRows.length - 1]);
+  }
+  throw new Error('pagination did not finish');
+}
+
+for (const primaryKey of [['id'], ['a', 'b']]) {
+  for (const orderBy of [undefined, 'score', ...primaryKey]) {
+    for (const ascending of [true, false]) {
+      test(`pages by ${orderBy || 'key'} ${ascending ? 'ascending' : 'descending'} with key (${primaryKey})`, () => {
+        const expected = [...rows].sort(compare(sortColumns(orderBy, primaryKey), ascending)).map(row => row.id);
+        for (const pageSize of [1, 2, 4]) {
+          assert.deepEqual(pageThrough(orderBy, primaryKey, ascending, pageSize), expected, `page size ${pageSize}`);
+        }
+      });
+    }
+  }
+}
+
+test('keysetFilter continues inside the NULL block', () => {
+  const position = { orderValue: null, keyValues: [5] };
+  assert.deepEqual(keysetFilter('score', ['id'], true, position), { score: null, id: { gt: 5 } });
+  assert.deepEqual(keysetFilter('score', ['id'], false, position), {
+    or: [{ score: null, id: { lt: 5 } }, { score: { isNot: null } }]
+  });
+});
+
+test('keysetFilter compares composite keys as a tuple', () => {
+  assert.deepEqual(keysetFilter(undefined, ['a', 'b'], true, { orderValue: null, keyValues: [1, 2] }), {
+    or: [{ a: { gt: 1 } }, { a: 1, b: { gt: 2 } }]
+  });
+});
+
+test('decodeCursor rejects cursors for other queries and malformed ones', () => {
+  const fingerprint = queryFingerprint({ table: 'items' });
+  const cursor = encodeCursor(fingerprint, 'score', ['id'], rows[0]);
+
+  assert.deepEqual(decodeCursor(cursor, fingerprint), { orderValue: 3, keyValues: [1] });
+  assert.throws(() => decodeCursor(cursor, queryFingerprint({ table: 'other' })), /issued for different/);
+  assert.throws(() => decodeCursor('not-a-cursor', fingerprint), /not a cursor returned/);
+
+  // Version 1 cursors held a single key value
+  const old = Buffer.from(JSON.stringify({ v: 1, f: fingerprint, k: [3, 1] })).toString('base64url');
+  assert.throws(() => decodeCursor(old, fingerprint), /not a cursor returned/);
+});
+
+test('keysetFilter rejects a cursor whose key does not fit the table', () => {
+  assert.throws(() => keysetFilter(undefined, ['a', 'b'], true, { orderValue: null, keyValues: [1] }), /Invalid cursor/);
+});
+
+// A core over an in-memory table whose PostgREST client returns `rows`,
+// up to the query's limit
+function coreWith(columnPolicy) {
+  const schema = { table: 'items', columns: ['id', 'a', 'b', 'score'].map(name => ({ name })), primaryKey: ['id'] };
+  const query = {
+    limit: count => Object.assign(query, { count }),
+    then: (resolve, reject) => Promise.resolve({ data: rows.slice(0, query.count) }).then(resolve, reject)
+  };
+  for (const method of ['select', 'filter', 'or', 'order']) {
+    query[method] = () => query;
+  }
+
+  return new SupabaseMCPCore({
+    supabase: { from: () => query },
+    introspector: { getTables: async () => new Map([['items', schema]]), getTable: async () => schema },
+    allowTables: ['items'],
+    denyTables: [],
+    columnPolicy
+  });
+}
+
+test('queryTable pages through tables whose key is allowed', async () => {
+  const core = coreWith({});
+  await core.discoverTables();
+  const { nextCursor } = await core.queryTable({ table: 'items', limit: 2 });
+  assert.ok(nextCursor);
+  assert.equal((await core.queryTable({ table: 'items', limit: 2, cursor: nextCursor })).rowCount, 2);
+});
+
+test('queryTable issues and accepts no cursor when the key is redacted', async () => {
+  const core = coreWith({ items: { id: 'hash' } });
+  await core.discoverTables();
+
+  const all = await core.queryTable({ table: 'items', limit: 100 });
+  assert.equal(all.nextCursor, null);
+  assert.match(all.data[0].id, /^hash:/);
+
+  await assert.rejects(core.queryTable({ table: 'items', limit: 2 }), /Cannot page through 'items'.*\(id\)/);
+
+  const crafted = encodeCursor(queryFingerprint({ table: 'items' }), undefined, ['id'], rows[0]);
+  await assert.rejects(core.queryTable({ table: 'items', cursor: crafted }), /Cannot page through 'items'/);
+});
+
+test('the fingerprint covers include', () => {
+  const include = [{ table: 'tags' }];
+  assert.notEqual(
+    queryFingerprint({ table: 'items', include }),
+    queryFingerprint({ table: 'items' })
+  );
+});
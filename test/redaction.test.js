@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ColumnPolicy, parseColumnPolicy } from '../src/core/redaction.js';
+
+// Column policies: parsing MCP_COLUMN_POLICY, which rule applies to a
+// column, and redaction of rows and embedded rows.
+
+const policy = new ColumnPolicy({
+  profiles: { '*': 'deny', id: 'allow', username: 'allow', email: 'mask' },
+  notes: { body: { action: 'truncate', length: 5 } },
+  '*': { ssn: 'deny', user_id: 'hash', body: 'mask', '*': 'allow' }
+}, { hashKey: 'test-key' });
+
+test('parseColumnPolicy returns undefined when unset and the rules otherwise', () => {
+  assert.equal(parseColumnPolicy(undefined), undefined);
+  assert.equal(parseColumnPolicy(''), undefined);
+  assert.deepEqual(parseColumnPolicy('{"notes": {"body": {"action": "truncate", "length": 10}}}'), {
+    notes: { body: { action: 'truncate', length: 10 } }
+  });
+});
+
+const invalid = [
+  ['not JSON', '{', /Invalid MCP_COLUMN_POLICY: /],
+  ['not an object', '["notes"]', /expected an object of tables/],
+  ['table rules not an object', '{"notes": "deny"}', /rules for 'notes' must be an object of columns/],
+  ['unknown action', '{"notes": {"body": "encrypt"}}', /bad rule for 'notes.body'/],
+  ['rule without action', '{"notes": {"body": {"length": 3}}}', /bad rule for 'notes.body'/],
+  ['bad length', '{"notes": {"body": {"action": "truncate", "length": 0}}}', /bad rule for 'notes.body'/],
+  ['null rule', '{"notes": {"body": null}}', /bad rule for 'notes.body'/]
+];
+
+for (const [name, value, message] of invalid) {
+  test(`parseColumnPolicy rejects ${name}`, () => {
+    assert.throws(() => parseColumnPolicy(value), message);
+  });
+}
+
+test('rules apply as table.column, table.*, *.column, then *.*', () => {
+  const rules = new ColumnPolicy({
+    notes: { body: 'mask', '*': 'hash' },
+    '*': { body: 'deny', title: 'truncate', '*': 'deny' }
+  });
+  assert.equal(rules.rule('notes', 'body').action, 'mask');
+  assert.equal(rules.rule('notes', 'title').action, 'hash');
+  assert.equal(rules.rule('articles', 'title').action, 'truncate');
+  assert.equal(rules.rule('articles', 'body').action, 'deny');
+  assert.equal(rules.rule('articles', 'id').action, 'deny');
+  assert.equal(new ColumnPolicy({}).rule('articles', 'id').action, 'allow');
+});
+
+test('Object.prototype names are not rules', () => {
+  const rules = new ColumnPolicy({ notes: { body: 'deny' } });
+  for (const name of ['toString', 'constructor', '__proto__']) {
+    assert.equal(rules.rule(name, name).action, 'allow', name);
+    assert.equal(rules.rule('notes', name).action, 'allow', name);
+  }
+});
+
+test('redacts values by action', () => {
+  const row = policy.redactRow('profiles', {
+    id: 1, username: 'ada', email: 'ada@example.com', phone: '555', user_id: 'u1'
+  });
+  assert.deepEqual(Object.keys(row), ['id', 'username', 'email']);
+  assert.equal(row.email, '***********.com');
+
+  const note = policy.redactRow('notes', { id: 2, body: 'a long body', user_id: 'u1', ssn: '1', title: null });
+  assert.deepEqual(note, { id: 2, body: 'a lon…', user_id: note.user_id, title: null });
+  assert.match(note.user_id, /^hash:[0-9a-f]{16}$/);
+});
+
+test('hashes equal values equally, and differently under another key', () => {
+  const hash = value => policy.redactRow('articles', { user_id: value }).user_id;
+  assert.equal(hash('u1'), hash('u1'));
+  assert.notEqual(hash('u1'), hash('u2'));
+
+  const other = new ColumnPolicy({ '*': { user_id: 'hash' } }, { hashKey: 'other-key' });
+  assert.notEqual(other.redactRow('articles', { user_id: 'u1' }).user_id, hash('u1'));
+});
+
+test('masks short values entirely and leaves short truncations alone', () => {
+  assert.equal(policy.redactRow('articles', { body: 'abcdefgh' }).body, '********');
+  assert.equal(policy.redactRow('articles', { body: 'abcdefghi' }).body, '*****fghi');
+  assert.equal(policy.redactRow('articles', { body: { nested: true } }).body, '***********rue}');
+  assert.equal(policy.redactRow('notes', { body: 'short' }).body, 'short');
+});
+
+test('redacts embedded rows with the rules of their own table', () => {
+  const plans = [
+    { table: 'notes', children: [{ table: 'profiles', children: [] }] },
+    { table: 'profiles', children: [] }
+  ];
+  const row = policy.redactRow('articles', {
+    id: 1,
+    user_id: 'u1',
+    notes: [{ id: 2, body: 'a long body', profiles: { id: 3, username: 'ada', phone: '555' } }],
+    profiles: null
+  }, plans);
+
+  assert.match(row.user_id, /^hash:/);
+  assert.deepEqual(row.notes, [{ id: 2, body: 'a lon…', profiles: { id: 3, username: 'ada' } }]);
+  assert.equal(row.profiles, null);
+
+  // Without a plan, a nested object is a plain column value
+  assert.equal(policy.redactRow('articles', { body: { id: 1 } }).body, '********');
+});
+
+test('assertSelectable rejects denied columns, also in include plans', () => {
+  policy.assertSelectable('profiles', ['id', 'email']);
+  assert.throws(() => policy.assertSelectable('profiles', ['id', 'phone', 'ssn']), /Columns not available in 'profiles': phone, ssn/);
+  assert.throws(
+    () => policy.assertSelectablePlans([{ table: 'notes', columns: ['id'], children: [{ table: 'profiles', columns: ['phone'], children: [] }] }]),
+    /Columns not available in 'profiles': phone/
+  );
+});
+
+test('assertFilterable allows only unredacted columns', () => {
+  policy.assertFilterable('notes', ['id', 'title']);
+  for (const column of ['body', 'user_id', 'ssn']) {
+    assert.throws(() => policy.assertFilterable('notes', ['id', column]), new RegExp(`redacted columns of 'notes': ${column}$`));
+  }
+  assert.throws(() => policy.assertFilterable('profiles', ['email', 'phone']), /: email, phone$/);
+});
+
+test('restricts reports whether any rule could redact a table', () => {
+  assert.equal(policy.restricts('articles', ['id', 'title']), false);
+  assert.equal(policy.restricts('articles', ['id', 'user_id']), true);
+  assert.equal(policy.restricts('articles'), true);
+  assert.equal(new ColumnPolicy({ notes: { body: 'deny' } }).restricts('articles'), false);
+});
+
+test('describeColumns hides denied columns and marks redacted ones', () => {
+  const columns = ['id', 'username', 'email', 'phone'].map(name => ({ name, type: 'text' }));
+  assert.deepEqual(policy.describeColumns('profiles', columns), [
+    { name: 'id', type: 'text' },
+    { name: 'username', type: 'text' },
+    { name: 'email', type: 'text', redaction: 'mask' }
+  ]);
+});
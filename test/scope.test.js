@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SupabaseMCPCore from '../src/core/mcp-core.js';
+import { combineFilters, parseScope } from '../src/core/scope.js';
+import { applyFilters, filtersToSQL } from '../src/core/filters.js';
+
+// Row scopes are ANDed onto caller filters, so no filter, however it is
+// grouped, can reach rows outside the scope.
+
+const scope = { user_id: 'u1' };
+
+// Records the PostgREST parameters applyFilters produces
+function recorder() {
+  const calls = [];
+  const query = {
+    filter: (...args) => calls.push(['filter', ...args]) && query,
+    or: value => calls.push(['or', value]) && query
+  };
+  return { query, calls };
+}
+
+const widening = [
+  ['or over the scoped column', { or: [{ user_id: 'u2' }, { title: 'x' }] },
+    `(("user_id" = 'u2' OR "title" = 'x') AND "user_id" = 'u1')`],
+  ['the scoped column itself', { user_id: 'u2' },
+    `("user_id" = 'u2' AND "user_id" = 'u1')`],
+  ['an operator on the scoped column', { user_id: { neq: 'u1' } },
+    `("user_id" <> 'u1' AND "user_id" = 'u1')`],
+  ['and groups', { and: [{ or: [{ user_id: 'u2' }, { user_id: null }] }] },
+    `(("user_id" = 'u2' OR "user_id" IS NULL) AND "user_id" = 'u1')`],
+  ['nested or and and', { or: [{ and: [{ user_id: 'u2' }, { title: 'x' }] }, { title: { isNot: null } }] },
+    `((("user_id" = 'u2' AND "title" = 'x') OR "title" IS NOT NULL) AND "user_id" = 'u1')`]
+];
+
+for (const [name, filters, sql] of widening) {
+  test(`caller filters cannot widen the scope: ${name}`, () => {
+    const combined = combineFilters(filters, scope);
+    assert.equal(filtersToSQL(combined), sql);
+
+    // The scope condition stays a top-level parameter, outside any or=()
+    const { query, calls } = recorder();
+    applyFilters(query, combined);
+    assert.ok(calls.some(call => call.join() === 'filter,user_id,eq,u1'), JSON.stringify(calls));
+  });
+}
+
+test('combineFilters keeps filters or conditions alone when the other is empty', () => {
+  assert.deepEqual(combineFilters({ title: 'x' }, {}), { title: 'x' });
+  assert.deepEqual(combineFilters(undefined, scope), scope);
+  assert.deepEqual(combineFilters({}, scope), scope);
+});
+
+test('parseScope rejects or and and groups', () => {
+  assert.throws(() => parseScope({ notes: { or: [{ user_id: 'u1' }] } }), /'or' groups are not allowed/);
+  assert.throws(() => parseScope('{"*": {"and": []}}'), /'and' groups are not allowed/);
+});
+
+test('scopedFilters ANDs the scope onto caller filters and hides out-of-scope tables', async () => {
+  const columns = { articles: ['id', 'user_id', 'title'], tags: ['id', 'label'] };
+  const core = new SupabaseMCPCore({
+    supabase: {},
+    introspector: {
+      getTable: async table => ({ table, columns: columns[table].map(name => ({ name })), primaryKey: ['id'] })
+    }
+  });
+  const access = { tables: null, rows: { '*': scope }, client: null };
+
+  const filters = { or: [{ user_id: 'u2' }, { title: 'x' }] };
+  assert.deepEqual(await core.scopedFilters('articles', filters, access), { and: [filters, scope] });
+  await assert.rejects(core.scopedFilters('tags', {}, access), /Table 'tags' not found/);
+});
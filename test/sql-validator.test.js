@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateQuery } from '../src/core/sql.js';
+
+// Adversarial corpus for the query_database validator. Each rejected query
+// lists a fragment of the error it must produce.
+
+const tables = ['articles', 'notes', 'projects', 'column_items', 'columns'];
+
+const accepted = [
+  // Keywords inside strings, identifiers and comments are not statements
+  "SELECT * FROM notes WHERE title = 'Update log'",
+  'SELECT created_at, updated_at FROM articles',
+  "SELECT id FROM notes WHERE body ILIKE '%drop table%'",
+  'SELECT id /* DELETE FROM notes */ FROM notes',
+  'SELECT id FROM notes -- ; DROP TABLE notes',
+  'select "delete" from articles',
+  'SELECT $$; DELETE FROM notes$$ AS text',
+  // Ordinary read queries
+  'SELECT title, url FROM articles ORDER BY created_at DESC LIMIT 10',
+  'SELECT 1;',
+  'SELECT count(*), max(created_at) FROM articles GROUP BY user_id HAVING count(*) > 1',
+  'SELECT a.title, n.body FROM articles a LEFT JOIN notes n ON n.article_id = a.id',
+  'SELECT * FROM articles WHERE id IN (SELECT article_id FROM notes)',
+  'SELECT title FROM articles UNION ALL SELECT body FROM notes',
+  "SELECT extract(year FROM created_at), date_trunc('month', now()) FROM articles",
+  "SELECT substring(title FROM 1 FOR 10), trim(both ' ' FROM title) FROM articles",
+  'SELECT row_number() OVER (PARTITION BY project_id ORDER BY id) FROM columns',
+  "SELECT coalesce(title, 'untitled'), greatest(1, 2), nullif(url, '') FROM articles",
+  "SELECT data->>'name', jsonb_array_length(data->'tags') FROM projects",
+  'SELECT * FROM generate_series(1, 10) AS s(n)',
+  'SELECT pg_catalog.lower(title) FROM articles',
+  'VALUES (1, 2), (3, 4)',
+  'TABLE articles',
+  // CTEs
+  'WITH recent AS (SELECT * FROM articles WHERE created_at > now() - interval \'7 days\') SELECT * FROM recent',
+  'WITH a AS (SELECT 1 AS n), b AS (SELECT n FROM a) SELECT * FROM b',
+  'WITH RECURSIVE t(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM t WHERE n < 5) SELECT * FROM t',
+  'SELECT * FROM public.articles'
+];
+
+const rejected = [
+  // Not a SELECT
+  ['DELETE FROM notes', 'Only SELECT'],
+  ["UPDATE notes SET title = 'x'", 'Only SELECT'],
+  ["INSERT INTO notes (title) VALUES ('x')", 'Only SELECT'],
+  ['DROP TABLE notes', 'Only SELECT'],
+  ['TRUNCATE notes', 'Only SELECT'],
+  ["SET statement_timeout = 0", 'Only SELECT'],
+  ['SET ROLE service_role', 'Only SELECT'],
+  ["DO $$ BEGIN DELETE FROM notes; END $$", 'Only SELECT'],
+  ['CALL cleanup()', 'Only SELECT'],
+  ['EXPLAIN ANALYZE SELECT * FROM notes', 'Only SELECT'],
+  ['COPY notes TO STDOUT', 'Only SELECT'],
+  ['BEGIN', 'Only SELECT'],
+  // Multiple statements, including ones hidden by comments
+  ['SELECT 1; DELETE FROM notes', 'single statement'],
+  ['SELECT 1 /* */; DROP TABLE notes', 'single statement'],
+  ['SELECT 1;\n-- comment\nDELETE FROM notes', 'single statement'],
+  ["SELECT 'a'; SELECT 'b'", 'single statement'],
+  // Writes nested inside a SELECT
+  ['WITH gone AS (DELETE FROM notes RETURNING *) SELECT * FROM gone', 'DELETE is not allowed'],
+  ["WITH x AS (UPDATE notes SET title = 'x' RETURNING id) SELECT * FROM x", 'UPDATE is not allowed'],
+  ["WITH x AS (INSERT INTO notes (title) VALUES ('x') RETURNING id) SELECT 1", 'INSERT is not allowed'],
+  ['SELECT * INTO copy_of_notes FROM notes', 'SELECT INTO'],
+  ['SELECT * FROM notes FOR UPDATE', 'FOR UPDATE'],
+  ['SELECT * FROM notes FOR SHARE SKIP LOCKED', 'FOR UPDATE'],
+  // Side-effecting, slow or privileged functions
+  ['SELECT pg_sleep(10)', "Function 'pg_sleep'"],
+  ['SELECT * FROM notes WHERE pg_sleep(1) IS NULL', "Function 'pg_sleep'"],
+  ["SELECT set_config('role', 'service_role', true)", "Function 'set_config'"],
+  ["SELECT current_setting('request.jwt.claims')", "Function 'current_setting'"],
+  ["SELECT nextval('notes_id_seq')", "Function 'nextval'"],
+  ["SELECT pg_read_file('/etc/passwd')", "Function 'pg_read_file'"],
+  ["SELECT lo_import('/etc/passwd')", "Function 'lo_import'"],
+  ['SELECT pg_terminate_backend(1)', "Function 'pg_terminate_backend'"],
+  ["SELECT dblink('host=evil', 'select 1')", "Function 'dblink'"],
+  ["SELECT * FROM dblink('host=evil', 'select 1') AS t(x int)", "Function 'dblink'"],
+  ['SELECT public.lower(title) FROM articles', "Function 'public.lower'"],
+  ['SELECT count(*) FROM articles WHERE length(pg_catalog.pg_sleep(1)::text) > 0', "Function 'pg_catalog.pg_sleep'"],
+  ["SELECT (SELECT set_config('x', 'y', false))", "Function 'set_config'"],
+  ['SELECT PG_SLEEP(1)', "Function 'pg_sleep'"],
+  ['SELECT "LOWER"(title) FROM articles', "Function 'LOWER'"],
+  ['SELECT "pg_sleep"(1)', "Function 'pg_sleep'"],
+  // Tables outside the exposed list
+  ['SELECT * FROM articles_backup', "Table 'articles_backup'"],
+  ['SELECT * FROM migrations', "Table 'migrations'"],
+  ['SELECT * FROM pg_user', "Table 'pg_user'"],
+  ['SELECT * FROM pg_catalog.pg_authid', "Schema 'pg_catalog'"],
+  ['SELECT * FROM information_schema.tables', "Schema 'information_schema'"],
+  ['SELECT * FROM auth.users', "Schema 'auth'"],
+  ['SELECT * FROM storage.objects', "Schema 'storage'"],
+  ['SELECT * FROM articles JOIN migrations ON true', "Table 'migrations'"],
+  ['SELECT * FROM notes WHERE id IN (SELECT id FROM articles_backup)', "Table 'articles_backup'"],
+  ['SELECT title FROM articles UNION SELECT name FROM migrations', "Table 'migrations'"],
+  // A CTE only hides tables inside its own scope
+  ['WITH migrations AS (SELECT * FROM migrations) SELECT * FROM migrations', "Table 'migrations'"],
+  ['SELECT * FROM (WITH m AS (SELECT 1) SELECT * FROM m) s, m', "Table 'm'"],
+  ['WITH a AS (SELECT * FROM b), b AS (SELECT 1) SELECT * FROM a', "Table 'b'"],
+  // Malformed input
+  ['', 'empty'],
+  ['   -- just a comment', 'empty'],
+  ['SELEC * FROM notes', 'Syntax error'],
+  ["SELECT 'unterminated", 'Syntax error']
+];
+
+for (const query of accepted) {
+  test(`accepts: ${query}`, async () => {
+    const result = await validateQuery(query, { tables });
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.valid, true);
+  });
+}
+
+for (const [query, fragment] of rejected) {
+  test(`rejects: ${query || '(empty)'}`, async () => {
+    const result = await validateQuery(query, { tables });
+    assert.equal(result.valid, false);
+    assert.ok(
+      result.errors.some(error => error.includes(fragment)),
+      `expected an error containing "${fragment}", got ${JSON.stringify(result.errors)}`
+    );
+  });
+}
+
+test('returns the statement without its trailing semicolon or comments', async () => {
+  const result = await validateQuery("  SELECT 'é' AS accent; -- done", { tables });
+  assert.equal(result.statement, "SELECT 'é' AS accent");
+});
+
+test('rejects tables with redacted columns, even through a CTE', async () => {
+  const restricted = ['notes'];
+  for (const query of ['SELECT body FROM notes', 'WITH n AS (SELECT * FROM notes) SELECT count(*) FROM n']) {
+    const result = await validateQuery(query, { tables, restricted });
+    assert.equal(result.valid, false);
+    assert.ok(result.errors.some(error => error.includes("Table 'notes' has redacted columns")));
+  }
+  assert.equal((await validateQuery('SELECT * FROM articles', { tables, restricted })).valid, true);
+});
@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { runTokenCommand } from '../src/token-cli.js';
+import { decodeJwt } from '../src/core/jwt.js';
+import { TokenStore } from '../src/core/token-store.js';
+
+// The `token` command, run against a token file in a temporary directory
+// with its output captured
+
+const secret = 'test-secret-with-at-least-thirty-two-characters';
+
+function tempStore() {
+  return new TokenStore(join(mkdtempSync(join(tmpdir(), 'mcp-tokens-')), 'tokens.json'));
+}
+
+// Run a command, returning its exit code and printed lines
+function run(t, args, store) {
+  const lines = [];
+  t.mock.method(console, 'log', line => lines.push(line));
+  t.mock.method(console, 'error', line => lines.push(line));
+  const code = runTokenCommand(args, store);
+  t.mock.restoreAll();
+  return { code, lines };
+}
+
+// Set SUPABASE_JWT_SECRET (or unset it) for one test
+function withSecret(t, value) {
+  const previous = process.env.SUPABASE_JWT_SECRET;
+  const set = next => next === undefined
+    ? delete process.env.SUPABASE_JWT_SECRET
+    : (process.env.SUPABASE_JWT_SECRET = next);
+  t.after(() => set(previous));
+  set(value);
+}
+
+// Claims of the key sql-key prints
+function sqlKey(t, args = []) {
+  withSecret(t, secret);
+  const { code, lines } = run(t, ['sql-key', ...args]);
+  assert.equal(code, 0, lines.join('\n'));
+  return { claims: decodeJwt(lines[1]).payload, lines };
+}
+
+test('sql-key expires after 90 days by default', t => {
+  const before = Math.floor(Date.now() / 1000);
+  const { claims, lines } = sqlKey(t);
+  assert.equal(claims.role, 'mcp_server');
+  assert.ok(Math.abs(claims.exp - (before + 90 * 24 * 60 * 60)) <= 2, `exp ${claims.exp}`);
+  assert.match(lines[2], /^Expires \d{4}-/);
+});
+
+test('sql-key takes --expires, and never only when asked for', t => {
+  const before = Math.floor(Date.now() / 1000);
+  assert.ok(Math.abs(sqlKey(t, ['--expires', '12h']).claims.exp - (before + 12 * 60 * 60)) <= 2);
+
+  const { claims, lines } = sqlKey(t, ['--expires', 'never']);
+  assert.equal(claims.exp, undefined);
+  assert.equal(lines[2], 'Never expires');
+});
+
+test('sql-key needs SUPABASE_JWT_SECRET', t => {
+  withSecret(t, undefined);
+  const { code, lines } = run(t, ['sql-key']);
+  assert.equal(code, 1);
+  assert.match(lines[0], /needs SUPABASE_JWT_SECRET/);
+});
+
+test('create stores a token with its options and prints it once', t => {
+  const store = tempStore();
+  const { code, lines } = run(t, [
+    'create', 'reporting', '--scopes', 'tools:query', '--tables=articles,notes*',
+    '--rows', '{"*": {"user_id": "u1"}}', '--expires', '2099-01-01'
+  ], store);
+
+  assert.equal(code, 0, lines.join('\n'));
+  assert.equal(lines[0], "🔑 Token 'reporting' (shown once, store it now):");
+  const [record] = store.load();
+  assert.deepEqual(
+    { name: record.name, scopes: record.scopes, tables: record.tables, rows: record.rows, expiresAt: record.expiresAt },
+    {
+      name: 'reporting',
+      scopes: ['tools:query'],
+      tables: ['articles', 'notes*'],
+      rows: { '*': { user_id: 'u1' } },
+      expiresAt: '2099-01-01T00:00:00.000Z'
+    }
+  );
+  assert.ok(!JSON.stringify(store.load()).includes(lines[1]));
+});
+
+test('create defaults to the query and schema scopes without expiry', t => {
+  const store = tempStore();
+  assert.equal(run(t, ['create', 'agent'], store).code, 0);
+  const [record] = store.load();
+  assert.deepEqual(record.scopes, ['tools:query', 'tools:schema']);
+  assert.equal(record.tables, null);
+  assert.equal(record.expiresAt, null);
+});
+
+const mistakes = [
+  ['a missing label', ['create'], /token create needs a label/],
+  ['an unknown scope', ['create', 'a', '--scopes', 'tools:write'], /Unknown scope 'tools:write'/],
+  ['a past expiry', ['create', 'a', '--expires', '2000-01-01'], /--expires must be in the future/],
+  ['a bad expiry', ['create', 'a', '--expires', 'soon'], /--expires must be a date, a duration/],
+  ['an option without a value', ['create', 'a', '--scopes'], /--scopes needs a value/],
+  ['a bad row scope', ['create', 'a', '--rows', '{"*": {"or": []}}'], /'or' groups are not allowed/],
+  ['an unknown token', ['revoke', 'missing'], /No token named 'missing'/]
+];
+
+for (const [name, args, message] of mistakes) {
+  test(`token ${args[0]} reports ${name}`, t => {
+    const store = tempStore();
+    const { code, lines } = run(t, args, store);
+    assert.equal(code, 1);
+    assert.match(lines.join('\n'), message);
+    assert.deepEqual(store.load(), []);
+  });
+}
+
+test('list shows tokens without secrets and marks expired ones', t => {
+  const store = tempStore();
+  const token = store.create({ name: 'ci', scopes: ['admin'], tables: null, rows: null, expiresAt: '2001-01-01T00:00:00.000Z' });
+  store.create({ name: 'reporting', scopes: ['tools:query'], tables: ['articles'], rows: { '*': { user_id: 'u1' } }, expiresAt: null });
+
+  const { code, lines } = run(t, ['list'], store);
+  assert.equal(code, 0);
+  assert.equal(lines.length, 2);
+  assert.match(lines[0], /^ci {2}scopes=admin {2}tables=\* {2}created=\S+ {2}expires=2001-01-01T00:00:00.000Z \(expired\)$/);
+  assert.match(lines[1], /^reporting {2}scopes=tools:query {2}tables=articles {2}rows=scoped {2}created=\S+ {2}expires=never$/);
+  assert.ok(!lines.join('\n').includes(token));
+
+  assert.match(run(t, ['list'], tempStore()).lines[0], /^No tokens in /);
+});
+
+test('rotate prints a new secret and can change the expiry; revoke deletes', t => {
+  const store = tempStore();
+  run(t, ['create', 'ci'], store);
+
+  const { code, lines } = run(t, ['rotate', 'ci', '--expires', '30d'], store);
+  assert.equal(code, 0);
+  assert.ok(lines[1]);
+  assert.ok(Date.parse(store.load()[0].expiresAt) > Date.now() + 29 * 24 * 60 * 60 * 1000);
+
+  assert.deepEqual(run(t, ['revoke', 'ci'], store), { code: 0, lines: ["Revoked token 'ci'"] });
+  assert.deepEqual(store.load(), []);
+});
+
+test('prints usage, failing only for unknown commands', t => {
+  const usage = run(t, [], tempStore());
+  assert.equal(usage.code, 0);
+  assert.match(usage.lines[0], /^Usage: token <command>/);
+  assert.equal(run(t, ['delete'], tempStore()).code, 1);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync, statSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TokenStore, hashToken } from '../src/core/token-store.js';
+import { TokenRegistry, parseTokens } from '../src/core/auth.js';
+import { TOKEN_PREFIX } from '../src/core/config.js';
+
+// The local token file: only salted hashes are stored, and every change
+// replaces the file as a whole.
+
+function tempStore() {
+  return new TokenStore(join(mkdtempSync(join(tmpdir(), 'mcp-tokens-')), 'tokens.json'));
+}
+
+const settings = { name: 'ci', scopes: ['tools:query'], tables: ['articles'], rows: null, expiresAt: null };
+
+test('a missing file holds no tokens and has no version', () => {
+  const store = tempStore();
+  assert.deepEqual(store.load(), []);
+  assert.equal(store.version(), null);
+});
+
+test('create stores a salted hash, never the token', () => {
+  const store = tempStore();
+  const token = store.create(settings);
+  assert.ok(token.startsWith(TOKEN_PREFIX));
+
+  const file = readFileSync(store.path, 'utf8');
+  assert.ok(!file.includes(token));
+  assert.equal(statSync(store.path).mode & 0o777, 0o600);
+
+  const [{ salt, hash, createdAt, ...record }] = store.load();
+  assert.deepEqual(record, settings);
+  assert.ok(Date.parse(createdAt));
+  assert.equal(hashToken(token, Buffer.from(salt, 'base64')).toString('base64'), hash);
+  assert.ok(!existsSync(`${store.path}.${process.pid}.tmp`));
+});
+
+test('stored tokens authenticate through the registry', () => {
+  const store = tempStore();
+  const token = store.create(settings);
+  const registry = new TokenRegistry(parseTokens(store.load(), 'token file'));
+  assert.deepEqual(registry.authenticate(token), { name: 'ci', scopes: ['tools:query'], tables: ['articles'], rows: null });
+});
+
+test('create rejects a name that is taken', () => {
+  const store = tempStore();
+  store.create(settings);
+  assert.throws(() => store.create(settings), /A token named 'ci' already exists/);
+});
+
+test('rotate replaces the secret and keeps the settings', () => {
+  const store = tempStore();
+  const old = store.create(settings);
+  const fresh = store.rotate('ci', { expiresAt: '2030-01-01T00:00:00.000Z' });
+  assert.notEqual(fresh, old);
+
+  const [record] = store.load();
+  assert.equal(record.expiresAt, '2030-01-01T00:00:00.000Z');
+  assert.deepEqual(record.tables, ['articles']);
+  assert.ok(record.rotatedAt);
+
+  const registry = new TokenRegistry(parseTokens(store.load(), 'token file'));
+  assert.equal(registry.authenticate(old), null);
+  assert.equal(registry.authenticate(fresh)?.name, 'ci');
+});
+
+test('revoke removes a token; unknown names are errors', () => {
+  const store = tempStore();
+  store.create(settings);
+  store.create({ ...settings, name: 'reporting' });
+  store.revoke('ci');
+  assert.deepEqual(store.load().map(record => record.name), ['reporting']);
+
+  assert.throws(() => store.revoke('ci'), /No token named 'ci'/);
+  assert.throws(() => store.rotate('ci'), /No token named 'ci'/);
+});
+
+test('the version changes with every save', () => {
+  const store = tempStore();
+  store.create(settings);
+  const first = store.version();
+  store.create({ ...settings, name: 'reporting' });
+  assert.notEqual(store.version(), first);
+});
+
+test('load rejects a malformed file', () => {
+  const store = tempStore();
+  writeFileSync(store.path, '{"tokens": [');
+  assert.throws(() => store.load(), /Invalid token file .*tokens\.json: /);
+  writeFileSync(store.path, '{"tokens": {}}');
+  assert.throws(() => store.load(), /expected \{ "tokens": \[\.\.\.\] \}/);
+});
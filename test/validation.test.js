@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateArguments } from '../src/core/validation.js';
+import { buildTools } from '../src/core/tools.js';
+
+// Tool arguments are checked against each tool's inputSchema before any
+// tool runs, so only declared properties and values reach a query.
+
+const schema = {
+  type: 'object',
+  properties: {
+    table: { type: 'string', enum: ['articles', 'notes'] },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+    columns: { type: 'array', items: { type: 'string', pattern: '^[a-z_]+$' }, minItems: 1 },
+    flag: { $ref: '#/$defs/flag' }
+  },
+  required: ['table'],
+  additionalProperties: false,
+  $defs: { flag: { oneOf: [{ type: 'boolean' }, { const: 'auto' }] } }
+};
+
+const queryTable = buildTools(['articles']).find(tool => tool.name === 'query_table').inputSchema;
+
+function messages(schema, args) {
+  return validateArguments(schema, args).errors.map(error => error.message);
+}
+
+test('accepts valid arguments and fills in defaults', () => {
+  const { value, errors } = validateArguments(schema, { table: 'articles', columns: ['title'], flag: 'auto' });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { table: 'articles', columns: ['title'], flag: 'auto', limit: 10 });
+});
+
+test('reports types, enums, ranges, patterns and missing properties', () => {
+  assert.deepEqual(messages(schema, {}), ['arguments.table is required']);
+  assert.deepEqual(messages(schema, { table: 'users' }), ['arguments.table must be one of: "articles", "notes"']);
+  assert.deepEqual(messages(schema, { table: 'notes', limit: 1.5 }), ['arguments.limit must be integer, got number']);
+  assert.deepEqual(messages(schema, { table: 'notes', limit: 0 }), ['arguments.limit must be >= 1']);
+  assert.deepEqual(messages(schema, { table: 'notes', columns: [] }), ['arguments.columns must have at least 1 items']);
+  assert.deepEqual(messages(schema, { table: 'notes', columns: ['a b'] }), ['arguments.columns[0] must match ^[a-z_]+$']);
+  assert.deepEqual(messages(schema, { table: 'notes', flag: 'yes' }), ['arguments.flag does not match any allowed form']);
+});
+
+test('rejects properties that are not declared', () => {
+  assert.deepEqual(messages(schema, { table: 'notes', order: 'id' }), ['arguments.order is not an allowed property']);
+});
+
+test('does not treat Object.prototype names as declared properties', () => {
+  for (const name of ['toString', 'constructor', 'hasOwnProperty', 'valueOf']) {
+    assert.deepEqual(
+      messages(schema, { table: 'notes', [name]: 1 }),
+      [`arguments.${name} is not an allowed property`],
+      name
+    );
+  }
+});
+
+test('rejects __proto__ instead of replacing the prototype', () => {
+  const args = JSON.parse('{"table": "notes", "__proto__": {"table": "articles", "polluted": true}}');
+  const { value, errors } = validateArguments(schema, args);
+
+  assert.deepEqual(errors.map(error => error.message), ['arguments.__proto__ is not a valid property name']);
+  assert.equal(Object.getPrototypeOf(value), Object.prototype);
+  assert.equal(value.polluted, undefined);
+  assert.equal({}.polluted, undefined);
+});
+
+test('rejects filter operators inherited from Object.prototype', () => {
+  for (const op of ['toString', 'constructor', 'hasOwnProperty']) {
+    const { errors } = validateArguments(queryTable, { table: 'articles', filters: { title: { [op]: 1 } } });
+    assert.ok(errors.length > 0, op);
+  }
+
+  const filters = JSON.parse('{"title": {"__proto__": {"eq": "x"}}}');
+  assert.ok(validateArguments(queryTable, { table: 'articles', filters }).errors.length > 0);
+});
+
+test('validates recursive filters through $refs', () => {
+  const filters = { or: [{ status: 'read' }, { and: [{ created_at: { gte: '2024-01-01' } }, { id: [1, 2] }] }] };
+  const { value, errors } = validateArguments(queryTable, { table: 'articles', filters });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value.filters, filters);
+
+  assert.deepEqual(
+    validateArguments(queryTable, { table: 'articles', filters: { or: [{ title: { matches: 'x' } }] } }).errors
+      .map(error => error.message),
+    ['arguments.filters.or[0].title.matches is not an allowed property']
+  );
+  assert.ok(validateArguments(queryTable, { table: 'articles', filters: { 'title; drop': 1 } }).errors.length > 0);
+});